@@ -0,0 +1,29 @@
+// Audit trail for /api/admin/* actions (admin_audit table). `details` is any
+// JSON-serializable object; requestId ties a row to the request's log lines.
+
+const { run, all } = require('./db');
+
+const MAX_REASON_LENGTH = 200;
+
+// Trimmed reason, or null when missing/invalid (callers decide if it's required)
+function parseReason(value) {
+  if (typeof value !== 'string') return null;
+  const reason = value.trim();
+  return reason.length > 0 && reason.length <= MAX_REASON_LENGTH ? reason : null;
+}
+
+function recordAudit(db, { action, reason = null, details = null, requestId = null }) {
+  return run(db, 'INSERT INTO admin_audit (action, reason, details, request_id) VALUES (?, ?, ?, ?)',
+    [action, reason, details === null ? null : JSON.stringify(details), requestId]);
+}
+
+// Newest first
+async function listAudit(db, limit) {
+  const rows = await all(db, `
+    SELECT id, action, reason, details, request_id, created_at
+    FROM admin_audit ORDER BY id DESC LIMIT ?
+  `, [limit]);
+  return rows.map(row => ({ ...row, details: row.details === null ? null : JSON.parse(row.details) }));
+}
+
+module.exports = { parseReason, recordAudit, listAudit, MAX_REASON_LENGTH };
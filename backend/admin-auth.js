@@ -0,0 +1,47 @@
+// ============================================================================
+// ADMIN AUTH
+// ============================================================================
+//
+// Bearer token checks. /api/admin/* routes use requireAdmin: without a
+// configured token the admin API is disabled (404), so a forgotten ADMIN_TOKEN
+// never leaves it open. requireToken is for endpoints that are public unless a
+// token is configured (GET /metrics).
+
+const crypto = require('crypto');
+
+// Hashing first makes the comparison constant-time regardless of length
+function sameToken(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function hasBearer(req, token) {
+  const [scheme, presented] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && Boolean(presented) && sameToken(presented, token);
+}
+
+function requireAdmin({ token }) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(404).json({ error: 'Admin API disabled (set ADMIN_TOKEN)' });
+    }
+
+    if (!hasBearer(req, token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+  };
+}
+
+function requireToken({ token }) {
+  return (req, res, next) => {
+    if (token && !hasBearer(req, token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAdmin, requireToken };
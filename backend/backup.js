@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// BACKUPS
+// ============================================================================
+//
+// Copies of the SQLite database taken with SQLite's online backup API, which
+// is safe while the server is writing (unlike copying clicks.db). Each copy is
+// written to a temporary file, checked with PRAGMA integrity_check and only
+// then renamed into place:
+//
+//   <dir>/hourly/clicks-YYYYMMDD-HH.db   the last `hourly` hours
+//   <dir>/daily/clicks-YYYYMMDD.db       the last `daily` days (UTC)
+//
+// The server runs the scheduler (BACKUP_DIR, BACKUP_HOURLY, BACKUP_DAILY).
+// From the command line:
+//
+//   node backend/backup.js list              list backups, newest first
+//   node backend/backup.js create            take a backup now
+//   node backend/backup.js restore <file>    replace the database with a backup
+//
+// restore refuses to run while the server is up: it checks the server's pid
+// file (<database>.pid) and the configured port.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { all } = require('./db');
+const { logger } = require('./logger');
+
+const PAGES_PER_STEP = 256; // pages copied per event loop turn
+const HOUR_MS = 60 * 60 * 1000;
+
+// "20240101-13" / "20240101" (UTC)
+function hourStamp(ms) {
+  return new Date(ms).toISOString().slice(0, 13).replace(/-/g, '').replace('T', '-');
+}
+
+function dayStamp(ms) {
+  return hourStamp(ms).slice(0, 8);
+}
+
+function backupName(databasePath, stamp) {
+  return `${path.basename(databasePath, path.extname(databasePath))}-${stamp}.db`;
+}
+
+// Open a backup read-only and run PRAGMA integrity_check; throws unless "ok"
+async function verifyBackup(file) {
+  const db = await new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(file, sqlite3.OPEN_READONLY, err => (err ? reject(err) : resolve(handle)));
+  });
+  try {
+    const rows = await all(db, 'PRAGMA integrity_check');
+    const result = rows.map(row => row.integrity_check).join('; ');
+    if (result !== 'ok') throw new Error(`Integrity check failed for ${file}: ${result}`);
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+// Online backup of `db` into `file`: copied a few pages at a time, verified,
+// then renamed into place (a failed backup never replaces a good one)
+async function backupDatabase(db, file) {
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.rmSync(tmp, { force: true });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const backup = db.backup(tmp, (err) => {
+        if (err) return reject(err);
+        const step = () => {
+          backup.step(PAGES_PER_STEP, (stepErr) => {
+            if (stepErr) return reject(stepErr);
+            if (backup.completed) return resolve();
+            if (backup.failed) return reject(new Error('Backup failed'));
+            setImmediate(step);
+          });
+        };
+        step();
+      });
+    });
+    await verifyBackup(tmp);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+  return { file, bytes: fs.statSync(file).size };
+}
+
+// Backups in a rotation directory, newest first
+function listDirectory(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.db'))
+    .sort()
+    .reverse()
+    .map(name => path.join(dir, name));
+}
+
+// Delete all but the newest `keep` backups in `dir`
+function prune(dir, keep) {
+  const removed = listDirectory(dir).slice(keep);
+  removed.forEach(file => fs.rmSync(file, { force: true }));
+  return removed;
+}
+
+// Hourly backups (and the first one each day kept as the daily) while the
+// server runs. `runExclusive(task)` runs the backup between flush
+// transactions so it never sees one half-written.
+function createBackupScheduler({ db, databasePath, dir, hourly = 24, daily = 7, runExclusive = task => task() }) {
+  const hourlyDir = path.join(dir, 'hourly');
+  const dailyDir = path.join(dir, 'daily');
+  let timer = null;
+  let lastSuccess = null; // { at, file }
+  let running = null;
+
+  async function backupNow(now = Date.now()) {
+    const dailyFile = path.join(dailyDir, backupName(databasePath, dayStamp(now)));
+    const needsDaily = daily > 0 && !fs.existsSync(dailyFile);
+    const target = hourly > 0
+      ? path.join(hourlyDir, backupName(databasePath, hourStamp(now)))
+      : dailyFile;
+
+    const result = await runExclusive(() => backupDatabase(db, target));
+    if (needsDaily && target !== dailyFile) {
+      fs.mkdirSync(dailyDir, { recursive: true });
+      fs.copyFileSync(target, dailyFile);
+    }
+    const removed = [...prune(hourlyDir, hourly), ...prune(dailyDir, daily)];
+
+    lastSuccess = { at: now, file: result.file };
+    logger.info('Database backup written', { ...result, daily: needsDaily, removed: removed.length });
+    return { ...result, daily: needsDaily ? dailyFile : null, removed };
+  }
+
+  // One backup at a time; callers share a running one
+  function run(now) {
+    if (!running) {
+      running = backupNow(now).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // This hour's backup (hourly on) or today's daily copy is missing
+  function due(now) {
+    const missing = (keep, folder, stamp) => keep > 0 && !fs.existsSync(path.join(folder, backupName(databasePath, stamp)));
+    return missing(hourly, hourlyDir, hourStamp(now)) || missing(daily, dailyDir, dayStamp(now));
+  }
+
+  function scheduled() {
+    const now = Date.now();
+    if (due(now)) {
+      run(now).catch(error => logger.error('Database backup failed', { err: error }));
+    }
+    // Next top of the hour
+    timer = setTimeout(scheduled, HOUR_MS - (now % HOUR_MS) + 1000);
+    timer.unref();
+  }
+
+  return {
+    // Back up now if one is due (e.g. first start this hour), then hourly
+    start: scheduled,
+
+    stop() {
+      clearTimeout(timer);
+      return running ? running.catch(() => {}) : Promise.resolve();
+    },
+
+    backupNow: run,
+
+    lastSuccess() {
+      return lastSuccess;
+    }
+  };
+}
+
+// ---- Server pid file and restore --------------------------------------------
+
+function pidFile(databasePath) {
+  return `${databasePath}.pid`;
+}
+
+// Written by the server at startup, removed on shutdown
+function writePidFile(databasePath, port) {
+  fs.writeFileSync(pidFile(databasePath), JSON.stringify({
+    pid: process.pid, hostname: os.hostname(), port, started_at: new Date().toISOString()
+  }));
+}
+
+function removePidFile(databasePath) {
+  fs.rmSync(pidFile(databasePath), { force: true });
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Reason the server looks up, or null
+async function serverRunning(databasePath, port) {
+  if (fs.existsSync(pidFile(databasePath))) {
+    try {
+      const owner = JSON.parse(fs.readFileSync(pidFile(databasePath), 'utf8'));
+      if (owner.hostname !== os.hostname()) {
+        return `${pidFile(databasePath)} says a server on ${owner.hostname} uses this database (delete it if that server is down)`;
+      }
+      if (processAlive(owner.pid)) return `server running with pid ${owner.pid} (${pidFile(databasePath)})`;
+    } catch (error) {
+      return `unreadable ${pidFile(databasePath)} (delete it if the server is down)`;
+    }
+  }
+
+  const answered = await new Promise((resolve) => {
+    const request = require('http').get({ host: 'localhost', port, path: '/api/health', timeout: 1000 }, (res) => {
+      res.resume();
+      resolve(true);
+    });
+    request.on('timeout', () => request.destroy());
+    request.on('error', () => resolve(false));
+  });
+  return answered ? `something answers on port ${port}` : null;
+}
+
+// Replace the database with a verified backup. The current database (and any
+// -journal / -wal / -shm next to it, which must not be applied to the restored
+// file) is kept as <database>.before-restore-<time>.
+async function restoreBackup({ file, databasePath, port }) {
+  const running = await serverRunning(databasePath, port);
+  if (running) throw new Error(`Refusing to restore while the server is up: ${running}`);
+
+  await verifyBackup(file).catch((error) => {
+    throw new Error(`${file} is not a usable backup: ${error.message}`);
+  });
+
+  const tmp = `${databasePath}.restore.tmp`;
+  fs.copyFileSync(file, tmp);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const moved = [];
+  for (const suffix of ['', '-journal', '-wal', '-shm']) {
+    if (fs.existsSync(databasePath + suffix)) {
+      const aside = `${databasePath}.before-restore-${stamp}${suffix}`;
+      fs.renameSync(databasePath + suffix, aside);
+      moved.push(aside);
+    }
+  }
+  fs.renameSync(tmp, databasePath);
+  return { restored: databasePath, from: file, previous: moved };
+}
+
+module.exports = {
+  backupDatabase,
+  verifyBackup,
+  createBackupScheduler,
+  writePidFile,
+  removePidFile,
+  restoreBackup
+};
+
+if (require.main === module) {
+  const { loadConfig } = require('./config');
+  const { configureLogger } = require('./logger');
+
+  configureLogger({ format: 'pretty' });
+  const [command, file] = process.argv.slice(2);
+  const config = loadConfig();
+  const dir = config.backupDir;
+
+  const commands = {
+    async list() {
+      const files = [...listDirectory(path.join(dir, 'hourly')), ...listDirectory(path.join(dir, 'daily'))];
+      files.forEach((backup) => {
+        const { size, mtime } = fs.statSync(backup);
+        console.log(`${mtime.toISOString()}  ${String(size).padStart(10)}  ${backup}`);
+      });
+      if (files.length === 0) console.log(`No backups in ${dir}`);
+    },
+
+    async create() {
+      const db = new sqlite3.Database(config.databasePath, sqlite3.OPEN_READONLY);
+      try {
+        const scheduler = createBackupScheduler({
+          db, databasePath: config.databasePath, dir, hourly: config.backupHourly, daily: config.backupDaily
+        });
+        await scheduler.backupNow();
+      } finally {
+        await new Promise(resolve => db.close(resolve));
+      }
+    },
+
+    async restore() {
+      if (!file) throw new Error('Usage: node backend/backup.js restore <backup file>');
+      const result = await restoreBackup({ file, databasePath: config.databasePath, port: config.port });
+      logger.info('Database restored; start the server to reseed the cache', result);
+    }
+  };
+
+  if (!commands[command]) {
+    console.error('Usage: node backend/backup.js list | create | restore <backup file>');
+    process.exit(1);
+  }
+  commands[command]().catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,160 @@
+// ============================================================================
+// BOT DETECTION
+// ============================================================================
+//
+// clickLimiter and the click budget cap how fast a client may click; a script
+// can sit just under them forever. This scores each client (by IP) on how it
+// clicks:
+//
+//   cadence     the click rate between the last `cadenceSamples` submissions
+//               barely varies (coefficient of variation < minCadenceVariation)
+//   sustained   more than `sustainedClicksPerMinute` for a whole
+//               `sustainedWindowMs`, which no finger keeps up
+//   user-agent  missing, or a known HTTP library / headless browser
+//   language    no Accept-Language, which every browser sends
+//
+// A client whose score reaches `flagScore` is flagged for `flagMs` (renewed
+// while it keeps scoring). Flagged clients are shadow-limited: the server
+// acknowledges their clicks but does not count them, so they have no reason to
+// adapt. Everything lives in memory, per instance.
+
+const { logger } = require('./logger');
+
+const SIGNAL_WEIGHTS = {
+  cadence: 2,
+  sustained: 2,
+  'user-agent': 1,
+  language: 1
+};
+
+const AUTOMATION_USER_AGENT = /curl|wget|python|node-fetch|axios|go-http|okhttp|java\/|libwww|httpclient|headless|phantom|selenium|puppeteer|playwright/i;
+
+// Client IP as Express computes it with `trust proxy` set to `trustedHops`,
+// for raw requests (WebSocket upgrades) that don't have req.ip
+function clientIp(req, trustedHops) {
+  const forwarded = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .reverse();
+  const addresses = [req.socket.remoteAddress, ...forwarded];
+  return addresses[Math.min(trustedHops, addresses.length - 1)];
+}
+
+function headerSignals(headers) {
+  const signals = [];
+  const userAgent = headers['user-agent'];
+  if (!userAgent || AUTOMATION_USER_AGENT.test(userAgent)) signals.push('user-agent');
+  if (!headers['accept-language']) signals.push('language');
+  return signals;
+}
+
+// Standard deviation / mean; 0 means perfectly regular
+function coefficientOfVariation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (mean === 0) return 0;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+function createBotDetector({
+  flagScore = 3,
+  cadenceSamples = 20,
+  minCadenceVariation = 0.05,
+  sustainedClicksPerMinute = 300,
+  sustainedWindowMs = 5 * 60 * 1000,
+  flagMs = 10 * 60 * 1000
+} = {}) {
+  const clients = new Map(); // key -> { firstSeen, lastSeen, samples, score, signals, flaggedUntil, counted, shadowed }
+  const idleMs = Math.max(sustainedWindowMs, flagMs);
+
+  // Forget clients that stopped clicking (and whose flag expired)
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    clients.forEach((client, key) => {
+      if (now - client.lastSeen >= idleMs && now >= client.flaggedUntil) clients.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  function cadenceSignal(samples) {
+    if (samples.length <= cadenceSamples) return false;
+    const recent = samples.slice(-cadenceSamples - 1);
+    const rates = [];
+    for (let i = 1; i < recent.length; i++) {
+      const interval = Math.max(recent[i].at - recent[i - 1].at, 1);
+      rates.push(recent[i].delta / interval);
+    }
+    return coefficientOfVariation(rates) < minCadenceVariation;
+  }
+
+  function sustainedSignal(client, now) {
+    if (now - client.firstSeen < sustainedWindowMs) return false;
+    const clicks = client.samples.reduce((sum, sample) => sum + sample.delta, 0);
+    return clicks / (sustainedWindowMs / 60000) > sustainedClicksPerMinute;
+  }
+
+  return {
+    // Record `delta` clicks from client `key`; false if they must not be counted
+    observe(key, delta, headers) {
+      const now = Date.now();
+      let client = clients.get(key);
+      if (!client) {
+        client = { firstSeen: now, lastSeen: now, samples: [], score: 0, signals: [], flaggedUntil: 0, counted: 0, shadowed: 0 };
+        clients.set(key, client);
+      }
+
+      client.lastSeen = now;
+      client.samples.push({ at: now, delta });
+      // Keep the sustained window, and at least enough samples for the cadence
+      while (client.samples.length > cadenceSamples + 1 && now - client.samples[0].at > sustainedWindowMs) {
+        client.samples.shift();
+      }
+
+      const signals = headerSignals(headers);
+      if (cadenceSignal(client.samples)) signals.push('cadence');
+      if (sustainedSignal(client, now)) signals.push('sustained');
+      client.signals = signals;
+      client.score = signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+
+      if (client.score >= flagScore) {
+        if (now >= client.flaggedUntil) {
+          logger.warn('Shadow-limiting client', { score: client.score, signals });
+        }
+        client.flaggedUntil = now + flagMs;
+      }
+
+      if (now < client.flaggedUntil) {
+        client.shadowed += delta;
+        return false;
+      }
+      client.counted += delta;
+      return true;
+    },
+
+    // Clients with any signal or an active flag, highest score first
+    report() {
+      const now = Date.now();
+      return [...clients]
+        .filter(([, client]) => client.score > 0 || now < client.flaggedUntil)
+        .map(([key, client]) => ({
+          client: key,
+          score: client.score,
+          signals: client.signals,
+          flagged: now < client.flaggedUntil,
+          flagged_until: now < client.flaggedUntil ? new Date(client.flaggedUntil).toISOString() : null,
+          counted_clicks: client.counted,
+          shadowed_clicks: client.shadowed,
+          first_seen: new Date(client.firstSeen).toISOString(),
+          last_seen: new Date(client.lastSeen).toISOString()
+        }))
+        .sort((a, b) => b.score - a.score || b.shadowed_clicks - a.shadowed_clicks);
+    },
+
+    thresholds() {
+      return { flagScore, cadenceSamples, minCadenceVariation, sustainedClicksPerMinute, sustainedWindowMs, flagMs };
+    }
+  };
+}
+
+module.exports = { createBotDetector, clientIp };
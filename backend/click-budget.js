@@ -0,0 +1,34 @@
+// ============================================================================
+// CLICK BUDGET
+// ============================================================================
+//
+// Per-client cap on clicks (not requests) in a fixed window. clickLimiter
+// counts requests, so without this a single POST with { delta: 50 } would cost
+// the same as one tap.
+//
+// Like the rate limiters, clicks are counted in the active counter store (one
+// key per client per clock-aligned window, expiring with it) so instances
+// behind nginx share one budget per client.
+
+function createClickBudget({ store, windowMs = 60 * 1000, max = 1200 } = {}) {
+  const ttlSeconds = Math.ceil(windowMs / 1000);
+
+  function windowKey(key) {
+    return `lizard:rl:click_budget:${key}:${Math.floor(Date.now() / windowMs)}`;
+  }
+
+  return {
+    // Spend `amount` clicks for `key`; false (and nothing spent) if over budget
+    async take(key, amount) {
+      const storeKey = windowKey(key);
+      const used = await store.incrementKey(storeKey, amount, ttlSeconds);
+      if (used <= max) return true;
+
+      // Over budget: give the clicks back so a smaller batch can still fit
+      await store.incrementKey(storeKey, -amount, ttlSeconds);
+      return false;
+    }
+  };
+}
+
+module.exports = { createClickBudget };
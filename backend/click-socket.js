@@ -0,0 +1,149 @@
+// ============================================================================
+// CLICK SOCKET (WebSocket)
+// ============================================================================
+//
+// Lets heavy clickers stream batched click deltas over one connection instead
+// of one POST /api/clicks per tap. Protocol (JSON text frames):
+//
+//   client → server   { "type": "clicks", "id": 42, "delta": 7 }
+//   server → client   { "type": "count", "id": 42, "count": 12345, "accepted": 7 }
+//                     { "type": "error", "id": 42, "error": "..." }
+//
+// `id` (optional; an integer or a string of up to 64 chars) is echoed in the
+// answer so the client can tell which deltas were acknowledged: the page
+// re-sends unacknowledged ones over REST when the socket closes.
+//
+// `verify(req)` (optional, may be async) can refuse the upgrade with 403.
+// `identify(req)` (optional) runs once per connection on the upgrade request;
+// its result is passed to `onClicks(delta, identity)` with every batch.
+// `clientOf(req)` names the client (its IP) for the connection cap.
+//
+// Each connection has its own caps: a maximum delta per message and a click
+// budget per second. `budget(identity, clicks)` (optional, may be async) then
+// charges the clicks to budgets shared with other connections and POST
+// /api/clicks, and resolves to false to drop them. Clicks over a budget are dropped (accepted <
+// delta); malformed or oversized messages count as strikes and too many close
+// the socket. A client may hold at most `maxConnectionsPerClient` sockets:
+// further upgrades get 429.
+
+const { WebSocketServer } = require('ws');
+const { logger } = require('./logger');
+
+const MAX_STRIKES = 5;
+const MAX_ID_LENGTH = 64;
+
+function isValidId(id) {
+  return Number.isSafeInteger(id) || (typeof id === 'string' && id.length > 0 && id.length <= MAX_ID_LENGTH);
+}
+
+function attachClickSocket(server, {
+  path = '/api/clicks/ws',
+  maxDelta = 50,
+  maxClicksPerSecond = 20,
+  verify = () => true,
+  identify = () => null,
+  clientOf = req => req.socket.remoteAddress,
+  maxConnectionsPerClient = 5,
+  budget = () => true,
+  onClicks
+}) {
+  const connections = new Map(); // client -> open sockets
+
+  const wss = new WebSocketServer({
+    server,
+    path,
+    maxPayload: 1024,
+    verifyClient: ({ req }, done) => {
+      // Checked before verify() so a refused client doesn't spend a click token
+      if ((connections.get(clientOf(req)) || 0) >= maxConnectionsPerClient) {
+        return done(false, 429);
+      }
+      Promise.resolve()
+        .then(() => verify(req))
+        .then(ok => done(Boolean(ok), 403))
+        .catch(() => done(false, 500));
+    }
+  });
+
+  wss.on('connection', (socket, req) => {
+    // Upgrades verified at the same time can all pass verifyClient
+    const client = clientOf(req);
+    const open = connections.get(client) || 0;
+    if (open >= maxConnectionsPerClient) {
+      socket.close(1008, 'Too many connections');
+      return;
+    }
+    connections.set(client, open + 1);
+    socket.on('close', () => {
+      const left = connections.get(client) - 1;
+      if (left > 0) connections.set(client, left);
+      else connections.delete(client);
+    });
+
+    const identity = identify(req);
+    let windowStart = Date.now();
+    let clicksInWindow = 0;
+    let strikes = 0;
+
+    function reject(error, id) {
+      socket.send(JSON.stringify({ type: 'error', id, error }));
+      strikes++;
+      if (strikes >= MAX_STRIKES) {
+        socket.close(1008, 'Too many invalid messages');
+      }
+    }
+
+    // 🔒 Per-connection budget: at most maxClicksPerSecond in each 1s window
+    function takeBudget(delta) {
+      const now = Date.now();
+      if (now - windowStart >= 1000) {
+        windowStart = now;
+        clicksInWindow = 0;
+      }
+      const accepted = Math.min(delta, maxClicksPerSecond - clicksInWindow);
+      clicksInWindow += accepted;
+      return accepted;
+    }
+
+    socket.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return reject('Invalid JSON');
+      }
+
+      const id = isValidId(message?.id) ? message.id : undefined;
+      if (message?.id !== undefined && id === undefined) {
+        return reject('Expected id to be an integer or a string of up to 64 chars');
+      }
+      const delta = message?.delta;
+      if (message?.type !== 'clicks' || !Number.isInteger(delta) || delta < 1 || delta > maxDelta) {
+        return reject(`Expected { type: "clicks", delta: 1-${maxDelta} }`, id);
+      }
+
+      try {
+        let accepted = takeBudget(delta);
+        if (accepted > 0 && !await budget(identity, accepted)) accepted = 0;
+        const count = await onClicks(accepted, identity);
+        socket.send(JSON.stringify({ type: 'count', id, count, accepted }));
+      } catch (error) {
+        logger.error('WebSocket clicks error', { err: error });
+        socket.send(JSON.stringify({ type: 'error', id, error: 'Failed to increment count' }));
+      }
+    });
+  });
+
+  return {
+    clientCount() {
+      return wss.clients.size;
+    },
+
+    close() {
+      wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+      wss.close();
+    }
+  };
+}
+
+module.exports = { attachClickSocket };
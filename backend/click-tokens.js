@@ -0,0 +1,125 @@
+// ============================================================================
+// CLICK TOKENS
+// ============================================================================
+//
+// Opt-in (CLICK_TOKENS=true): every POST /api/clicks and every WebSocket
+// connection must present a short-lived token from POST /api/clicks/token,
+// which makes looping `curl -X POST /api/clicks` useless on its own.
+//
+// A token is "<id>.<expires>.<difficulty>.<hmac>", signed with a server
+// secret. With a difficulty above 0 the client must also find a nonce such
+// that sha256("<token>:<nonce>") starts with `difficulty` zero bits (a few
+// thousand hashes, nothing a real tap notices). Tokens are single-use: the
+// first redemption claims the id in the active counter store until it expires.
+//
+// Clients send the token in X-Click-Token and the nonce in X-Click-Nonce
+// (or ?token=&nonce= on the WebSocket URL). Missing token → 428, bad → 403.
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'lizard:click-token:';
+const MAX_NONCE_LENGTH = 32;
+const MAX_DIFFICULTY = 24;
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, 32);
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+function checkProofOfWork(token, nonce, difficulty) {
+  if (difficulty === 0) return true;
+  const digest = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+  return leadingZeroBits(digest) >= difficulty;
+}
+
+// Brute-force a nonce (what the page does with crypto.subtle; used by the load tests)
+function solveProofOfWork(token, difficulty) {
+  let nonce = 0;
+  while (!checkProofOfWork(token, String(nonce), difficulty)) nonce++;
+  return String(nonce);
+}
+
+function createClickTokens({ store, getSecret, ttlSeconds = 60, difficulty = 0 }) {
+  if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > MAX_DIFFICULTY) {
+    throw new Error(`Click token difficulty must be 0-${MAX_DIFFICULTY} bits`);
+  }
+
+  function parse(token) {
+    if (typeof token !== 'string') return null;
+    const [id, expires, bits, signature] = token.split('.');
+    if (!id || !expires || !bits || !signature) return null;
+
+    const expected = Buffer.from(sign(`${id}.${expires}.${bits}`, getSecret()));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    return { id, expiresAt: parseInt(expires, 10) * 1000, difficulty: parseInt(bits, 10) };
+  }
+
+  // Resolves to { ok: true } or { status, error }
+  async function redeem(token, nonce = '') {
+    if (!getSecret()) return { status: 503, error: 'Click tokens not ready' };
+    if (!token) return { status: 428, error: 'Click token required (POST /api/clicks/token)' };
+
+    const parsed = parse(token);
+    if (!parsed) return { status: 403, error: 'Invalid click token' };
+
+    const remainingMs = parsed.expiresAt - Date.now();
+    if (remainingMs <= 0) return { status: 403, error: 'Click token expired' };
+
+    if (typeof nonce !== 'string' || nonce.length > MAX_NONCE_LENGTH ||
+        !checkProofOfWork(token, nonce, parsed.difficulty)) {
+      return { status: 403, error: 'Invalid proof of work' };
+    }
+
+    const claimed = await store.addKey(KEY_PREFIX + parsed.id, '1', Math.ceil(remainingMs / 1000));
+    if (!claimed) return { status: 403, error: 'Click token already used' };
+    return { ok: true };
+  }
+
+  return {
+    // null until the secret is loaded
+    issue() {
+      if (!getSecret()) return null;
+      const id = crypto.randomBytes(12).toString('base64url');
+      const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+      const payload = `${id}.${expires}.${difficulty}`;
+      return {
+        token: `${payload}.${sign(payload, getSecret())}`,
+        difficulty,
+        expires_at: new Date(expires * 1000).toISOString()
+      };
+    },
+
+    redeem,
+
+    // Express middleware for click routes
+    middleware() {
+      return async (req, res, next) => {
+        try {
+          const result = await redeem(req.get('X-Click-Token'), req.get('X-Click-Nonce'));
+          if (!result.ok) {
+            return res.status(result.status).json({ error: result.error });
+          }
+        } catch (error) {
+          (req.log || logger).error('Click token check failed', { err: error });
+          return res.status(500).json({ error: 'Failed to check click token' });
+        }
+        next();
+      };
+    }
+  };
+}
+
+module.exports = { createClickTokens, solveProofOfWork };
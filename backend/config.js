@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+//
+// Every server setting in one place. Values come from, in increasing order of
+// precedence: the defaults below, an optional JSON file (CONFIG_FILE=path,
+// same camelCase keys as below) and environment variables. Everything is
+// validated at startup; all problems are reported at once and the server
+// refuses to start.
+//
+//   node backend/config.js   validate and print the effective config (secrets hidden)
+
+const fs = require('fs');
+const { BACKENDS } = require('./stores');
+const { POLICIES } = require('./rate-limits');
+const { LEVELS } = require('./logger');
+
+const HOST_PORT_PATTERN = /^[^\s:]+:\d{1,5}$/;
+
+const SETTINGS = [
+  // Server
+  { key: 'port', env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+  { key: 'databasePath', env: 'DATABASE_PATH', type: 'string', default: './clicks.db' },
+  { key: 'trustProxyHops', env: 'TRUST_PROXY_HOPS', type: 'integer', default: 2, min: 0, max: 10 }, // Cloudflare + Nginx
+
+  // Logging
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LEVELS), default: 'info' },
+  { key: 'logFormat', env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+  { key: 'logDir', env: 'LOG_DIR', type: 'string', default: '' }, // also write rotating files here
+  { key: 'logMaxBytes', env: 'LOG_MAX_BYTES', type: 'integer', default: 10 * 1024 * 1024, min: 1024, max: 1024 * 1024 * 1024 },
+  { key: 'logMaxFiles', env: 'LOG_MAX_FILES', type: 'integer', default: 5, min: 0, max: 100 },
+
+  // Cache backend
+  { key: 'cacheBackend', env: 'CACHE_BACKEND', type: 'enum', values: BACKENDS, default: 'map' },
+  { key: 'redisHost', env: 'REDIS_HOST', type: 'string', default: 'localhost' },
+  { key: 'redisPort', env: 'REDIS_PORT', type: 'integer', default: 6379, min: 1, max: 65535 },
+  { key: 'redisPassword', env: 'REDIS_PASSWORD', type: 'string', default: '', secret: true },
+  { key: 'memcachedServers', env: 'MEMCACHED_SERVERS', type: 'list', default: ['localhost:11211'], pattern: HOST_PORT_PATTERN },
+
+  // Batch writes
+  { key: 'batchSize', env: 'BATCH_SIZE', type: 'integer', default: 10, min: 1, max: 10000 },
+  { key: 'batchTimeoutMs', env: 'BATCH_TIMEOUT_MS', type: 'integer', default: 5000, min: 100, max: 10 * 60 * 1000 },
+  { key: 'syncIntervalMs', env: 'SYNC_INTERVAL_MS', type: 'integer', default: 30000, min: 1000, max: 60 * 60 * 1000 },
+  { key: 'journalPath', env: 'JOURNAL_PATH', type: 'string', default: './pending-clicks.journal' },
+  { key: 'shutdownTimeoutMs', env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 10000, min: 1000, max: 5 * 60 * 1000 },
+
+  // Backups
+  { key: 'backupDir', env: 'BACKUP_DIR', type: 'string', default: './backups' },
+  { key: 'backupHourly', env: 'BACKUP_HOURLY', type: 'integer', default: 24, min: 0, max: 24 * 31 },
+  { key: 'backupDaily', env: 'BACKUP_DAILY', type: 'integer', default: 7, min: 0, max: 3660 }, // both 0 = no backups
+
+  // Clicks
+  { key: 'clickMaxDelta', env: 'CLICK_MAX_DELTA', type: 'integer', default: 50, min: 1, max: 1000 },
+  { key: 'clickBudgetPerMinute', env: 'CLICK_BUDGET_PER_MINUTE', type: 'integer', default: 1200, min: 1, max: 1000000 },
+  { key: 'idempotencyTtlSeconds', env: 'IDEMPOTENCY_TTL_SECONDS', type: 'integer', default: 24 * 60 * 60, min: 1, max: 7 * 24 * 60 * 60 },
+  { key: 'maxCounters', env: 'MAX_COUNTERS', type: 'integer', default: 50, min: 1, max: 10000 },
+  { key: 'sseMinIntervalMs', env: 'SSE_MIN_INTERVAL_MS', type: 'integer', default: 250, min: 0, max: 60000 },
+  { key: 'ssePollIntervalMs', env: 'SSE_POLL_INTERVAL_MS', type: 'integer', default: 2000, min: 100, max: 60000 },
+  { key: 'wsEnabled', env: 'WS_ENABLED', type: 'boolean', default: true },
+  { key: 'wsMaxDelta', env: 'WS_MAX_DELTA', type: 'integer', default: 50, min: 1, max: 1000 },
+  { key: 'wsMaxClicksPerSecond', env: 'WS_MAX_CLICKS_PER_SECOND', type: 'integer', default: 20, min: 1, max: 1000 },
+  { key: 'wsMaxConnectionsPerIp', env: 'WS_MAX_CONNECTIONS_PER_IP', type: 'integer', default: 5, min: 1, max: 1000 },
+
+  // Devices, leaderboards and geo
+  { key: 'deviceSecret', env: 'DEVICE_SECRET', type: 'string', default: '', secret: true },
+  { key: 'meImportMax', env: 'ME_IMPORT_MAX', type: 'integer', default: 100000, min: 0, max: 1e9 },
+  { key: 'geoHeader', env: 'GEO_HEADER', type: 'string', default: 'cf-ipcountry' },
+
+  // Abuse protection
+  { key: 'botDetection', env: 'BOT_DETECTION', type: 'boolean', default: true },
+  { key: 'botFlagScore', env: 'BOT_FLAG_SCORE', type: 'integer', default: 3, min: 1, max: 6 },
+  { key: 'botCadenceSamples', env: 'BOT_CADENCE_SAMPLES', type: 'integer', default: 20, min: 3, max: 1000 },
+  { key: 'botMinCadenceVariation', env: 'BOT_MIN_CADENCE_VARIATION', type: 'number', default: 0.05, min: 0, max: 1 },
+  { key: 'botSustainedClicksPerMinute', env: 'BOT_SUSTAINED_CLICKS_PER_MINUTE', type: 'integer', default: 300, min: 1, max: 100000 },
+  { key: 'botSustainedMinutes', env: 'BOT_SUSTAINED_MINUTES', type: 'integer', default: 5, min: 1, max: 24 * 60 },
+  { key: 'botFlagMinutes', env: 'BOT_FLAG_MINUTES', type: 'integer', default: 10, min: 1, max: 7 * 24 * 60 },
+  { key: 'clickTokens', env: 'CLICK_TOKENS', type: 'boolean', default: false },
+  { key: 'clickTokenTtlSeconds', env: 'CLICK_TOKEN_TTL_SECONDS', type: 'integer', default: 60, min: 5, max: 60 * 60 },
+  { key: 'clickTokenDifficulty', env: 'CLICK_TOKEN_DIFFICULTY', type: 'integer', default: 0, min: 0, max: 24 },
+  { key: 'clickTokenSecret', env: 'CLICK_TOKEN_SECRET', type: 'string', default: '', secret: true },
+  ...Object.entries(POLICIES).map(([name, policy]) => ({
+    key: `rateLimits.${name}`,
+    env: `RATE_LIMIT_${name.toUpperCase()}`,
+    type: 'rateLimit',
+    default: { max: policy.max, windowSeconds: policy.windowSeconds }
+  })),
+
+  // Admin and monitoring
+  { key: 'adminToken', env: 'ADMIN_TOKEN', type: 'string', default: '', secret: true },
+  { key: 'metricsEnabled', env: 'METRICS_ENABLED', type: 'boolean', default: true },
+  { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'string', default: '', secret: true }
+];
+
+// Returns { value } or { error } (the error completes "<name> must ...")
+const PARSERS = {
+  integer(raw, { min, max }) {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `must be an integer from ${min} to ${max}` };
+    }
+    return { value };
+  },
+
+  number(raw, { min, max }) {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `must be a number from ${min} to ${max}` };
+    }
+    return { value };
+  },
+
+  boolean(raw) {
+    if (raw === true || raw === 'true' || raw === '1') return { value: true };
+    if (raw === false || raw === 'false' || raw === '0') return { value: false };
+    return { error: 'must be true or false' };
+  },
+
+  string(raw) {
+    if (typeof raw !== 'string') return { error: 'must be a string' };
+    return { value: raw };
+  },
+
+  enum(raw, { values }) {
+    if (!values.includes(raw)) return { error: `must be one of: ${values.join(', ')}` };
+    return { value: raw };
+  },
+
+  // Comma-separated in the environment, an array in the JSON file
+  list(raw, { pattern }) {
+    const value = Array.isArray(raw) ? raw : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+    if (value.length === 0 || !value.every(item => typeof item === 'string' && pattern.test(item))) {
+      return { error: 'must be a non-empty list of host:port' };
+    }
+    return { value };
+  },
+
+  // "<max>/<seconds>" or "off"
+  rateLimit(raw) {
+    if (raw === 'off') return { value: { off: true } };
+    const match = /^(\d+)\/(\d+)$/.exec(String(raw).trim());
+    const max = match && parseInt(match[1], 10);
+    const windowSeconds = match && parseInt(match[2], 10);
+    if (!match || max < 1 || windowSeconds < 1) {
+      return { error: 'must be "<max>/<seconds>" or "off"' };
+    }
+    return { value: { max, windowSeconds } };
+  }
+};
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((target, part) => {
+    target[part] = target[part] || {};
+    return target[part];
+  }, object);
+  parent[last] = value;
+}
+
+function readConfigFile(file, errors) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(`${file}: expected a JSON object`);
+      return {};
+    }
+    return data;
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+    return {};
+  }
+}
+
+// Keys in the file that no setting reads (typos, mostly)
+function unknownKeys(data, prefix = '') {
+  return Object.entries(data).flatMap(([name, value]) => {
+    const key = prefix + name;
+    if (SETTINGS.some(setting => setting.key === key)) return [];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+      return unknownKeys(value, `${key}.`);
+    }
+    return [key];
+  });
+}
+
+// Validated config, with `sources` telling where each value came from
+function loadConfig(env = process.env) {
+  const errors = [];
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, errors) : {};
+  unknownKeys(file).forEach(key => errors.push(`${env.CONFIG_FILE}: unknown setting "${key}"`));
+
+  const config = {};
+  const sources = {};
+  for (const setting of SETTINGS) {
+    let raw = setting.default;
+    let source = 'default';
+    if (getPath(file, setting.key) !== undefined) {
+      raw = getPath(file, setting.key);
+      source = 'file';
+    }
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      source = 'env';
+    }
+
+    if (source === 'default') {
+      setPath(config, setting.key, raw);
+    } else {
+      const { value, error } = PARSERS[setting.type](raw, setting);
+      if (error) {
+        const name = source === 'env' ? setting.env : `${setting.key} (${env.CONFIG_FILE})`;
+        errors.push(`${name} ${error}, got ${JSON.stringify(raw)}`);
+        continue;
+      }
+      setPath(config, setting.key, value);
+    }
+    sources[setting.key] = source;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return Object.assign(config, { sources });
+}
+
+function formatValue(setting, value) {
+  if (setting.secret) return value ? '(set)' : '(not set)';
+  if (setting.type === 'rateLimit') return value.off ? 'off' : `${value.max}/${value.windowSeconds}s`;
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+// { key: value } for every setting, secrets hidden (for the startup log)
+function redactConfig(config) {
+  return Object.fromEntries(SETTINGS.map((setting) => {
+    const value = getPath(config, setting.key);
+    return [setting.key, setting.secret || setting.type === 'rateLimit' ? formatValue(setting, value) : value];
+  }));
+}
+
+// One "key = value (source)" line per setting, secrets hidden
+function describeConfig(config) {
+  const width = Math.max(...SETTINGS.map(setting => setting.key.length));
+  return SETTINGS.map(setting => {
+    const value = formatValue(setting, getPath(config, setting.key));
+    const source = config.sources[setting.key];
+    return `  ${setting.key.padEnd(width)} = ${value}${source === 'default' ? '' : ` (${source})`}`;
+  }).join('\n');
+}
+
+if (require.main === module) {
+  try {
+    const config = loadConfig();
+    console.log('⚙️ Effective configuration:');
+    console.log(describeConfig(config));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { loadConfig, describeConfig, redactConfig, SETTINGS };
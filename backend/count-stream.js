@@ -0,0 +1,115 @@
+// ============================================================================
+// COUNT STREAM (Server-Sent Events)
+// ============================================================================
+//
+// Pushes the global count to every open GET /api/clicks/stream connection.
+// Bursts of clicks are coalesced: at most one event per `minIntervalMs`, always
+// carrying the latest count, so a busy server doesn't flood slow clients.
+//
+// publish() only sees this instance's clicks. With a shared store (Redis,
+// Memcached) other instances count too, so while anyone is subscribed the
+// store is read every `pollIntervalMs` and changes are published as well.
+
+const HEARTBEAT_INTERVAL = 25000; // keeps proxies (Cloudflare/Nginx) from closing idle streams
+
+function createCountStream({ minIntervalMs = 250, pollIntervalMs = 2000, readCount = null } = {}) {
+  const clients = new Set();
+  let latestCount = null;
+  let lastSentAt = 0;
+  let flushTimer = null;
+  let pollTimer = null;
+
+  function write(res, chunk) {
+    res.write(chunk);
+    // compression() buffers responses; flush so the event leaves immediately
+    if (typeof res.flush === 'function') res.flush();
+  }
+
+  function send(res, count) {
+    const payload = JSON.stringify({ count, timestamp: new Date().toISOString() });
+    write(res, `data: ${payload}\n\n`);
+  }
+
+  function flush() {
+    flushTimer = null;
+    lastSentAt = Date.now();
+    clients.forEach(res => send(res, latestCount));
+  }
+
+  function publish(count) {
+    latestCount = count;
+    if (clients.size === 0 || flushTimer) return;
+
+    const wait = minIntervalMs - (Date.now() - lastSentAt);
+    if (wait <= 0) {
+      flush();
+    } else {
+      flushTimer = setTimeout(flush, wait);
+    }
+  }
+
+  // Picks up clicks counted by other instances
+  async function poll() {
+    try {
+      const count = await readCount();
+      if (count !== latestCount) publish(count);
+    } catch (error) {
+      // Store hiccup: the next poll tries again
+    }
+  }
+
+  function startPolling() {
+    if (!readCount || pollTimer) return;
+    pollTimer = setInterval(poll, pollIntervalMs);
+    pollTimer.unref();
+  }
+
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => write(res, ': heartbeat\n\n'));
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  return {
+    // Attach an Express response as a subscriber and send it the current count
+    subscribe(req, res, currentCount) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Nginx: don't buffer the stream
+      });
+      res.flushHeaders();
+      send(res, currentCount);
+      if (clients.size === 0) latestCount = currentCount;
+
+      clients.add(res);
+      startPolling();
+      req.on('close', () => {
+        clients.delete(res);
+        if (clients.size === 0) stopPolling();
+      });
+    },
+
+    // Called on every increment; sends now or schedules one coalesced event
+    publish,
+
+    clientCount() {
+      return clients.size;
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      clearTimeout(flushTimer);
+      stopPolling();
+      clients.forEach(res => res.end());
+      clients.clear();
+    }
+  };
+}
+
+module.exports = { createCountStream };
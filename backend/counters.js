@@ -0,0 +1,60 @@
+// ============================================================================
+// NAMED COUNTERS
+// ============================================================================
+//
+// Besides the default counter behind /api/clicks, clients can keep separate
+// counters (events, campaigns...) under /api/counters/:name. An admin
+// registers names in the counters table (POST /api/admin/counters), up to
+// `maxCounters`; clicks on unregistered names are refused. Their clicks are
+// tagged with the name in click_events.
+
+const { DEFAULT_COUNTER } = require('./stores/counter-key');
+const { run, get, all } = require('./db');
+
+// Lowercase letters, digits, '-' and '_', starting with a letter or digit
+const COUNTER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function isValidCounterName(name) {
+  return typeof name === 'string' && COUNTER_NAME_PATTERN.test(name);
+}
+
+function createCounterRegistry({ db, maxCounters = 50 }) {
+  const known = new Set([DEFAULT_COUNTER]);
+
+  return {
+    // Registered names from SQLite (called once the schema is migrated)
+    async load() {
+      const rows = await all(db, 'SELECT name FROM counters ORDER BY name');
+      rows.forEach(row => known.add(row.name));
+      return [...known];
+    },
+
+    // Another instance may have registered the name since load()
+    async exists(name) {
+      if (known.has(name)) return true;
+      const row = await get(db, 'SELECT name FROM counters WHERE name = ?', [name]);
+      if (row) known.add(name);
+      return Boolean(row);
+    },
+
+    // Register `name` if needed; resolves to { created } or { error }
+    async create(name) {
+      if (await this.exists(name)) return { created: false };
+
+      const { total } = await get(db, 'SELECT COUNT(*) AS total FROM counters');
+      if (total >= maxCounters) {
+        return { error: `Counter limit reached (${maxCounters})` };
+      }
+
+      const { changes } = await run(db, 'INSERT OR IGNORE INTO counters (name) VALUES (?)', [name]);
+      known.add(name);
+      return { created: changes === 1 };
+    },
+
+    list() {
+      return [...known].sort();
+    }
+  };
+}
+
+module.exports = { DEFAULT_COUNTER, isValidCounterName, createCounterRegistry };
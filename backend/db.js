@@ -0,0 +1,35 @@
+// Promise helpers over the sqlite3 callback API, and the timestamp format
+// used in SQLite columns (UTC, same shape as CURRENT_TIMESTAMP).
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      // `this` carries lastID / changes for INSERT / UPDATE / DELETE
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// "YYYY-MM-DD HH:MM:SS.SSS" (UTC); sorts correctly against CURRENT_TIMESTAMP values
+function toSqliteTimestamp(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function fromSqliteTimestamp(value) {
+  return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+module.exports = { run, get, all, toSqliteTimestamp, fromSqliteTimestamp };
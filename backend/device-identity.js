@@ -0,0 +1,80 @@
+// ============================================================================
+// ANONYMOUS DEVICE IDENTITY
+// ============================================================================
+//
+// Each browser gets a random device id, signed with a server secret so it
+// can't be forged or edited: "<id>.<hmac>". Browsers keep it in an httpOnly
+// cookie; other clients can send it back in the X-Device-Token header (it is
+// returned in that header whenever a new one is issued). No personal data is
+// involved, the id only links clicks to "My Clicks".
+//
+// Only the page's handshake (GET /api/me) and click token requests issue new
+// ids. Everywhere else a request without a valid token simply has no device,
+// so a script that never keeps its cookie can't create a device per click.
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'lizard_device';
+const HEADER_NAME = 'X-Device-Token';
+const COOKIE_MAX_AGE = 2 * 365 * 24 * 60 * 60 * 1000; // 2 años
+
+function sign(id, secret) {
+  return crypto.createHmac('sha256', secret).update(id).digest('base64url').slice(0, 32);
+}
+
+function issueToken(secret) {
+  const id = crypto.randomBytes(16).toString('base64url');
+  return { id, token: `${id}.${sign(id, secret)}` };
+}
+
+// Device id from a token, or null if missing/forged
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+  const [id, signature] = token.split('.');
+  if (!id || !signature) return null;
+
+  const expected = Buffer.from(sign(id, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return id;
+}
+
+function readCookie(header, name) {
+  if (!header) return undefined;
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+}
+
+// Verified device id of a raw HTTP request (also used for WebSocket upgrades)
+function identifyRequest(req, secret) {
+  if (!secret) return null;
+  return verifyToken(req.headers[HEADER_NAME.toLowerCase()] || readCookie(req.headers.cookie, COOKIE_NAME), secret);
+}
+
+// Express middleware: sets req.deviceId (null without a valid token). With
+// `issue`, a request without one gets a new identity. `getSecret` returns
+// null until the secret is loaded.
+function deviceIdentity({ getSecret, issue = false }) {
+  return (req, res, next) => {
+    const secret = getSecret();
+    req.deviceId = identifyRequest(req, secret);
+
+    if (!req.deviceId && secret && issue) {
+      const { id, token } = issueToken(secret);
+      req.deviceId = id;
+      res.cookie(COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: COOKIE_MAX_AGE
+      });
+      res.set(HEADER_NAME, token);
+    }
+    next();
+  };
+}
+
+module.exports = { deviceIdentity, identifyRequest };
@@ -0,0 +1,91 @@
+// Display names for the leaderboard: 3-20 characters of letters, digits,
+// spaces, '_' and '-', and nothing from the blocklist. The check normalizes
+// case, accents and common letter substitutions (0→o, 4→a, $→s...), then
+// matches whole words split on spaces, '_', '-' and camelCase, so "Grape" or
+// "Dickens" pass but "dick", "Dicks", "BigDick" and "W0rd_Bad" don't.
+// Spelled-out words ("b a d") and the whole name with separators dropped
+// ("Ba-dword") count as words too. A few terms that never occur inside a
+// harmless word are matched anywhere ("xBADWORDx").
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+const NAME_PATTERN = /^[\p{L}\p{N} _-]+$/u;
+
+// Not exhaustive: catches the usual suspects in English and Spanish
+const BLOCKLIST = [
+  'fuck', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'asshole', 'bastard',
+  'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard', 'rape', 'nazi', 'hitler',
+  'puta', 'puto', 'pendejo', 'verga', 'chinga', 'culero', 'cabron', 'mierda', 'joto',
+  'marica', 'coño', 'pinche', 'mamon'
+];
+
+// Blocked even inside other words
+const SUBSTRING_BLOCKLIST = ['fuck', 'nigger', 'nigga', 'faggot', 'pendejo'];
+
+const SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[0134578@$!]/g, char => SUBSTITUTIONS[char])
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '') // accents
+    .replace(/[^a-z]/g, '');
+}
+
+const NORMALIZED_BLOCKLIST = new Set(BLOCKLIST.map(normalize));
+const NORMALIZED_SUBSTRINGS = SUBSTRING_BLOCKLIST.map(normalize);
+
+// Blocked word, or its plural
+function isBlockedWord(word) {
+  return [word, word.replace(/s$/, ''), word.replace(/es$/, '')].some(form => NORMALIZED_BLOCKLIST.has(form));
+}
+
+// Words to check: each one (split at separators and camelCase, and also
+// without leading/trailing digits, which would otherwise read as letters),
+// runs of single letters joined ("b a d" -> "bad"), and the whole name
+// without separators
+function candidateWords(name) {
+  const raw = name.split(/[ _-]+|(?<=\p{Ll})(?=\p{Lu})/u).filter(Boolean);
+  const words = raw.map(normalize).filter(Boolean);
+  const candidates = [...words, words.join(''), ...raw.map(word => normalize(word.replace(/^\d+|\d+$/g, '')))];
+  let letters = '';
+  for (const word of [...words, '']) {
+    if (word.length === 1) {
+      letters += word;
+    } else {
+      if (letters.length > 1) candidates.push(letters);
+      letters = '';
+    }
+  }
+  return candidates;
+}
+
+function isBlocked(name) {
+  const joined = normalize(name);
+  return NORMALIZED_SUBSTRINGS.some(term => joined.includes(term))
+    || candidateWords(name).some(isBlockedWord);
+}
+
+// Returns { name } (trimmed, inner whitespace collapsed) or { error }
+function validateDisplayName(input) {
+  if (typeof input !== 'string') {
+    return { error: 'name must be a string' };
+  }
+
+  const name = input.trim().replace(/\s+/g, ' ');
+  if (name.length < MIN_LENGTH || name.length > MAX_LENGTH) {
+    return { error: `name must be ${MIN_LENGTH}-${MAX_LENGTH} characters` };
+  }
+  if (!NAME_PATTERN.test(name)) {
+    return { error: 'name may only contain letters, digits, spaces, _ and -' };
+  }
+
+  if (isBlocked(name)) {
+    return { error: 'Please pick another name' };
+  }
+
+  return { name };
+}
+
+module.exports = { validateDisplayName };
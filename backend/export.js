@@ -0,0 +1,181 @@
+// ============================================================================
+// CLICK HISTORY EXPORT
+// ============================================================================
+//
+// Streams the saved history, oldest first, as CSV or NDJSON for
+// GET /api/admin/export; backend/import.js loads the same files. One record
+// per click_events row (kind "clicks") or admin correction (kind "adjustment"):
+//
+//   kind, counter, delta, count, window_start, window_end, source, reason
+//
+// `count` is the counter's running total after the record, so an import can
+// check that nothing is missing: clicks never make it go down, and every
+// record's count is the previous one plus its delta. Timestamps are ISO 8601
+// (UTC). Rows are read in pages, and a page is only fetched once the response
+// has drained, so large databases never sit in memory.
+
+const { all, toSqliteTimestamp, fromSqliteTimestamp } = require('./db');
+
+const FORMATS = ['csv', 'ndjson'];
+const COLUMNS = ['kind', 'counter', 'delta', 'count', 'window_start', 'window_end', 'source', 'reason'];
+const PAGE_SIZE = 500;
+
+// Both tables as one timeline; `at` orders it (adjustments happen at created_at)
+const TIMELINE = `
+  SELECT 'clicks' AS kind, id, counter, delta, window_start, window_end, window_end AS at, source, NULL AS reason
+  FROM click_events
+  UNION ALL
+  SELECT 'adjustment' AS kind, id, counter, delta, created_at, created_at, created_at, 'admin', reason
+  FROM count_adjustments
+`;
+
+// Validate ?format=&from=&to= and return { error } or { format, from, to } (ms or null)
+function parseExportQuery(query) {
+  const format = query.format || 'ndjson';
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+  const from = query.from ? Date.parse(query.from) : null;
+  const to = query.to ? Date.parse(query.to) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+  if (from !== null && to !== null && from >= to) {
+    return { error: 'from must be before to' };
+  }
+  return { format, from, to };
+}
+
+// ---- CSV --------------------------------------------------------------------
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Fields of one CSV record, or null if a quoted field continues on the next line
+function parseCsvRecord(text) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+// ---- Records ----------------------------------------------------------------
+
+function toRecord(row, count) {
+  return {
+    kind: row.kind,
+    counter: row.counter,
+    delta: row.delta,
+    count,
+    window_start: new Date(fromSqliteTimestamp(row.window_start)).toISOString(),
+    window_end: new Date(fromSqliteTimestamp(row.window_end)).toISOString(),
+    source: row.source,
+    reason: row.reason
+  };
+}
+
+function formatRecord(record, format) {
+  return format === 'csv'
+    ? `${COLUMNS.map(column => csvField(record[column])).join(',')}\n`
+    : `${JSON.stringify(record)}\n`;
+}
+
+// Resolves once `res` can take more data (or is gone)
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Running totals per counter before `from` (everything, when exporting all)
+async function totalsBefore(db, from) {
+  const totals = new Map();
+  if (from === null) return totals;
+  const rows = await all(db, `SELECT counter, SUM(delta) AS total FROM (${TIMELINE}) WHERE at < ? GROUP BY counter`,
+    [toSqliteTimestamp(from)]);
+  rows.forEach(row => totals.set(row.counter, row.total));
+  return totals;
+}
+
+// Write the export to `res` (an HTTP response or any writable stream).
+// Stops early if the client goes away.
+async function streamExport(db, res, { format, from = null, to = null }) {
+  const totals = await totalsBefore(db, from);
+  const bounds = [];
+  const params = [];
+  if (from !== null) {
+    bounds.push('at >= ?');
+    params.push(toSqliteTimestamp(from));
+  }
+  if (to !== null) {
+    bounds.push('at < ?');
+    params.push(toSqliteTimestamp(to));
+  }
+
+  if (format === 'csv') res.write(`${COLUMNS.join(',')}\n`);
+
+  let cursor = null; // [at, kind, id] of the last row written
+  let exported = 0;
+  while (!res.destroyed) {
+    const where = [...bounds, ...(cursor ? ['(at, kind, id) > (?, ?, ?)'] : [])];
+    const rows = await all(db, `
+      SELECT * FROM (${TIMELINE})
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY at, kind, id
+      LIMIT ${PAGE_SIZE}
+    `, [...params, ...(cursor || [])]);
+    if (rows.length === 0) break;
+
+    let chunk = '';
+    rows.forEach((row) => {
+      const count = (totals.get(row.counter) || 0) + row.delta;
+      totals.set(row.counter, count);
+      chunk += formatRecord(toRecord(row, count), format);
+    });
+    exported += rows.length;
+    const last = rows[rows.length - 1];
+    cursor = [last.at, last.kind, last.id];
+
+    if (!res.write(chunk) && !res.destroyed) await drained(res);
+  }
+  return exported;
+}
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  parseExportQuery,
+  parseCsvRecord,
+  streamExport
+};
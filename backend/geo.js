@@ -0,0 +1,83 @@
+// ============================================================================
+// GEOGRAPHIC BREAKDOWN
+// ============================================================================
+//
+// Clicks on the default counter per country. The country comes from a header
+// set by the proxy in front of us (Cloudflare's CF-IPCountry by default); IPs
+// are never looked at or stored. Missing or unusable values (including
+// Cloudflare's "XX") go to the "unknown" bucket, which is also what you get
+// locally without a proxy.
+//
+// Totals live in the counter store like named counters do (under the name
+// "geo:<code>", which can't collide since counter names have no ':'), and in
+// the click_countries table, updated by flushBatch.
+
+const { get, all } = require('./db');
+
+const UNKNOWN_COUNTRY = 'unknown';
+
+// ISO 3166-1 alpha-2, plus Cloudflare's T1 (Tor)
+const COUNTRY_PATTERN = /^[A-Z][A-Z0-9]$/;
+
+function geoCounter(country) {
+  return `geo:${country}`;
+}
+
+// The country of a geoCounter() name, or null for any other counter
+function counterCountry(name) {
+  return name.startsWith('geo:') ? name.slice(4) : null;
+}
+
+function createGeo({ db, store, header = 'cf-ipcountry' }) {
+  const headerName = header.toLowerCase();
+  const known = new Set();
+
+  return {
+    countryOf(req) {
+      const value = req.headers[headerName];
+      if (typeof value !== 'string') return UNKNOWN_COUNTRY;
+
+      const code = value.trim().toUpperCase();
+      if (!COUNTRY_PATTERN.test(code) || code === 'XX') return UNKNOWN_COUNTRY;
+      return code;
+    },
+
+    async record(country, delta) {
+      known.add(country);
+      return store.increment(delta, geoCounter(country));
+    },
+
+    // Saved clicks for one country (to rebuild a store entry that was lost)
+    async savedClicks(country) {
+      const row = await get(db, 'SELECT clicks FROM click_countries WHERE country = ?', [country]);
+      return row ? row.clicks : 0;
+    },
+
+    // Seed the store from SQLite (called once the schema is migrated)
+    async load() {
+      const rows = await all(db, 'SELECT country, clicks FROM click_countries');
+      for (const { country, clicks } of rows) {
+        known.add(country);
+        await store.set(clicks, geoCounter(country));
+      }
+      return rows.length;
+    },
+
+    // [{ country, clicks }], most clicks first. Countries first seen by
+    // another instance are picked up from SQLite.
+    async breakdown() {
+      const rows = await all(db, 'SELECT country FROM click_countries');
+      rows.forEach(row => known.add(row.country));
+
+      const countries = await Promise.all([...known].map(async country => ({
+        country,
+        clicks: await store.get(geoCounter(country))
+      })));
+      return countries
+        .filter(entry => entry.clicks > 0)
+        .sort((a, b) => b.clicks - a.clicks || a.country.localeCompare(b.country));
+    }
+  };
+}
+
+module.exports = { createGeo, counterCountry, UNKNOWN_COUNTRY };
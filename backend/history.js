@@ -0,0 +1,164 @@
+// ============================================================================
+// CLICK HISTORY
+// ============================================================================
+//
+// Sums the click_events log into clicks per time bucket for GET /api/history.
+// Each event's delta is counted in the bucket containing its window_end.
+// Buckets follow wall-clock minutes/hours/days in the requested time zone and
+// empty buckets are filled with 0.
+
+const { all, toSqliteTimestamp, fromSqliteTimestamp } = require('./db');
+const { DEFAULT_COUNTER, isValidCounterName } = require('./counters');
+
+const INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Range used when `from` is omitted
+const DEFAULT_RANGE = {
+  minute: 60 * 60 * 1000,
+  hour: 24 * 60 * 60 * 1000,
+  day: 30 * 24 * 60 * 60 * 1000
+};
+
+const MAX_BUCKETS = 2000;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Milliseconds to add to a UTC instant to get the wall-clock time in timeZone
+function tzOffset(ms, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+// First instant of the minute/hour/day (in timeZone) that contains `ms`
+function bucketStart(ms, interval, timeZone) {
+  const size = INTERVALS[interval];
+  const local = ms + tzOffset(ms, timeZone);
+  const truncated = local - (((local % size) + size) % size);
+  // Re-read the offset at the bucket start: it differs across DST changes
+  const guess = truncated - tzOffset(ms, timeZone);
+  return truncated - tzOffset(guess, timeZone);
+}
+
+function nextBucketStart(start, interval, timeZone) {
+  // A day can be 23-25h long around DST changes; 26h always lands in the next day
+  const step = interval === 'day' ? 26 * 60 * 60 * 1000 : INTERVALS[interval];
+  return bucketStart(start + step, interval, timeZone);
+}
+
+// "2024-01-01T13:00:00-06:00"
+function formatLocal(ms, timeZone) {
+  const offset = tzOffset(ms, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset) / 60000;
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${new Date(ms + offset).toISOString().slice(0, 19)}${sign}${hh}:${mm}`;
+}
+
+// Validate ?interval=&from=&to=&tz=&counter= and return { error } or the parsed range
+function parseHistoryQuery(query, now = Date.now()) {
+  const counter = query.counter || DEFAULT_COUNTER;
+  if (!isValidCounterName(counter)) {
+    return { error: 'Invalid counter name' };
+  }
+
+  const interval = query.interval || 'hour';
+  if (!INTERVALS[interval]) {
+    return { error: 'interval must be one of: minute, hour, day' };
+  }
+
+  const timeZone = query.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Unknown time zone: ${timeZone}` };
+  }
+
+  const to = query.to ? Date.parse(query.to) : now;
+  const from = query.from ? Date.parse(query.from) : to - DEFAULT_RANGE[interval];
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if ((to - from) / INTERVALS[interval] > MAX_BUCKETS) {
+    return { error: `Range too large: at most ${MAX_BUCKETS} ${interval} buckets` };
+  }
+
+  return { counter, interval, timeZone, from, to };
+}
+
+// The counter's events whose window ended in [from, to)
+function loadEvents(db, counter, from, to) {
+  return all(db,
+    'SELECT delta, window_end FROM click_events WHERE counter = ? AND window_end >= ? AND window_end < ? ORDER BY window_end',
+    [counter, toSqliteTimestamp(from), toSqliteTimestamp(to)]);
+}
+
+function buildBuckets(events, { interval, timeZone, from, to }) {
+  const clicksByBucket = new Map();
+
+  events.forEach(({ delta, window_end: windowEnd }) => {
+    const start = bucketStart(fromSqliteTimestamp(windowEnd), interval, timeZone);
+    clicksByBucket.set(start, (clicksByBucket.get(start) || 0) + delta);
+  });
+
+  const buckets = [];
+  let total = 0;
+  for (let start = bucketStart(from, interval, timeZone); start < to; start = nextBucketStart(start, interval, timeZone)) {
+    const clicks = clicksByBucket.get(start) || 0;
+    total += clicks;
+    buckets.push({ start: formatLocal(start, timeZone), clicks });
+  }
+
+  return { total, buckets };
+}
+
+async function getHistory(db, range) {
+  const events = await loadEvents(db, range.counter, range.from, range.to);
+  const { total, buckets } = buildBuckets(events, range);
+
+  return {
+    counter: range.counter,
+    interval: range.interval,
+    timezone: range.timeZone,
+    from: new Date(range.from).toISOString(),
+    to: new Date(range.to).toISOString(),
+    total,
+    buckets
+  };
+}
+
+module.exports = { parseHistoryQuery, getHistory };
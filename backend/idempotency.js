@@ -0,0 +1,71 @@
+// ============================================================================
+// IDEMPOTENCY KEYS
+// ============================================================================
+//
+// Clients may send an `Idempotency-Key` header with POST /api/clicks. The first
+// request with a key claims it in the active counter store (SET NX / add) and
+// its response is saved there for `ttlSeconds`; retries with the same key get
+// that saved response back (marked `Idempotent-Replayed: true`) instead of
+// counting again. A retry that arrives while the first request is still
+// running gets 409. Error responses are not saved, so the client can retry.
+//
+// A key only matches the same method, path (so the counter name) and client:
+// `client(req)` returns who is asking (device id, else IP). The same key from
+// another client or on another counter is a different request.
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+const KEY_PREFIX = 'lizard:idem:';
+const PENDING = 'pending';
+
+// Hashed so it fits any backend's key rules (Memcached: 250 chars, no spaces)
+function scopedKey(req, client, key) {
+  const scope = [req.method, req.path, client, key].join('\n');
+  return KEY_PREFIX + crypto.createHash('sha256').update(scope).digest('base64url');
+}
+
+function idempotency({ store, ttlSeconds = 24 * 60 * 60, client = req => req.ip }) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Invalid Idempotency-Key (1-128 chars: letters, digits, _ . : -)' });
+    }
+
+    const storeKey = scopedKey(req, client(req), key);
+    try {
+      const claimed = await store.addKey(storeKey, PENDING, ttlSeconds);
+      if (!claimed) {
+        const saved = await store.getKey(storeKey);
+        if (!saved || saved === PENDING) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+        }
+
+        const { status, body } = JSON.parse(saved);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(status).json(body);
+      }
+    } catch (error) {
+      (req.log || logger).error('Idempotency check failed', { err: error });
+      return res.status(500).json({ error: 'Failed to check Idempotency-Key' });
+    }
+
+    // Save the first response (or release the key on errors) as it goes out
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400) {
+        store.setKey(storeKey, JSON.stringify({ status: res.statusCode, body }), ttlSeconds);
+      } else {
+        store.deleteKey(storeKey);
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// CLICK HISTORY IMPORT
+// ============================================================================
+//
+// Loads a file from GET /api/admin/export into a fresh database, e.g. when
+// moving a deployment to another host. The file is validated record by record
+// (see backend/export.js): counts must start from 0, never go down on clicks
+// and always equal the previous count plus the delta, and records must be in
+// time order. Everything is written in one transaction, so a bad file leaves
+// the database untouched. Then the cache is seeded with the imported totals,
+// the same way the server does at startup.
+//
+//   node backend/import.js <file.csv|file.ndjson> [--format csv|ndjson]
+//
+// The target is the configured DATABASE_PATH and CACHE_BACKEND. Only the
+// click history is exported and imported: devices, leaderboards and the geo
+// breakdown are not.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { run, get, toSqliteTimestamp } = require('./db');
+const { runMigrations } = require('./migrate');
+const { isValidCounterName } = require('./counters');
+const { COLUMNS, FORMATS, parseCsvRecord } = require('./export');
+const { recordAudit } = require('./admin-audit');
+const { logger, configureLogger } = require('./logger');
+
+const KINDS = ['clicks', 'adjustment'];
+
+// Records of a CSV or NDJSON export, with the line they start on
+async function * readRecords(input, format) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  let pending = null; // CSV record spanning several lines: { start, text }
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (format === 'ndjson') {
+      if (line.trim() === '') continue;
+      try {
+        yield { line: lineNumber, record: JSON.parse(line) };
+      } catch (error) {
+        throw new Error(`line ${lineNumber}: invalid JSON`);
+      }
+      continue;
+    }
+
+    const start = pending ? pending.start : lineNumber;
+    const text = pending ? `${pending.text}\n${line}` : line;
+    const fields = parseCsvRecord(text);
+    if (fields === null) {
+      pending = { start, text };
+      continue;
+    }
+    pending = null;
+
+    if (start === 1) {
+      if (fields.join(',') !== COLUMNS.join(',')) {
+        throw new Error(`line 1: expected the header ${COLUMNS.join(',')}`);
+      }
+      continue;
+    }
+    if (text.trim() === '') continue;
+    if (fields.length !== COLUMNS.length) {
+      throw new Error(`line ${start}: expected ${COLUMNS.length} fields, got ${fields.length}`);
+    }
+    const record = Object.fromEntries(COLUMNS.map((column, index) => [column, fields[index]]));
+    record.delta = record.delta === '' ? NaN : Number(record.delta);
+    record.count = record.count === '' ? NaN : Number(record.count);
+    record.reason = record.reason === '' ? null : record.reason;
+    yield { line: start, record };
+  }
+  if (pending) throw new Error(`line ${pending.start}: unterminated quoted field`);
+}
+
+// Checks one record against the running state; returns an error message or null
+function validateRecord(record, state) {
+  const { kind, counter, delta, count, source, reason } = record;
+  if (!KINDS.includes(kind)) return `kind must be one of: ${KINDS.join(', ')}`;
+  if (!isValidCounterName(counter)) return `invalid counter name ${JSON.stringify(counter)}`;
+  if (!Number.isSafeInteger(delta) || (kind === 'clicks' ? delta < 1 : delta === 0)) {
+    return kind === 'clicks' ? 'delta must be a positive integer' : 'delta must be a non-zero integer';
+  }
+  if (!Number.isSafeInteger(count) || count < 0) return 'count must be a non-negative integer';
+
+  const previous = state.totals.get(counter) || 0;
+  if (kind === 'clicks' && count < previous) {
+    return `count decreased from ${previous} to ${count} on counter ${counter}`;
+  }
+  if (count !== previous + delta) {
+    return previous === 0 && !state.totals.has(counter)
+      ? `counter ${counter} starts at ${count}, not ${delta}: was the export limited with from=?`
+      : `count ${count} is not ${previous} + ${delta} on counter ${counter} (missing records?)`;
+  }
+
+  const start = Date.parse(record.window_start);
+  const end = Date.parse(record.window_end);
+  if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+    return 'window_start and window_end must be ISO 8601 dates, start <= end';
+  }
+  if (end < state.lastAt) return 'records are out of time order';
+
+  if (typeof source !== 'string' || source === '' || source.length > 32) return 'source must be 1-32 chars';
+  if (kind === 'adjustment' && (typeof reason !== 'string' || reason.trim() === '')) {
+    return 'adjustments need a reason';
+  }
+  return null;
+}
+
+// Import `input` (a readable stream) into `db`, which must hold no history yet.
+// Resolves to { records, counters: Map of name -> total }.
+async function importHistory(db, input, { format, maxCounters = Infinity }) {
+  const existing = await get(db, `
+    SELECT (SELECT COUNT(*) FROM click_events) + (SELECT COUNT(*) FROM count_adjustments) AS total
+  `);
+  if (existing.total > 0) {
+    throw new Error('The database already has click history; import needs a fresh database');
+  }
+
+  const state = { totals: new Map(), lastAt: -Infinity };
+  let records = 0;
+
+  await run(db, 'BEGIN');
+  try {
+    for await (const { line, record } of readRecords(input, format)) {
+      const error = validateRecord(record, state);
+      if (error) throw new Error(`line ${line}: ${error}`);
+
+      if (!state.totals.has(record.counter)) {
+        if (state.totals.size >= maxCounters) {
+          throw new Error(`line ${line}: more than MAX_COUNTERS (${maxCounters}) counters`);
+        }
+        await run(db, 'INSERT OR IGNORE INTO counters (name) VALUES (?)', [record.counter]);
+      }
+      state.totals.set(record.counter, record.count);
+      state.lastAt = Date.parse(record.window_end);
+
+      const windowStart = toSqliteTimestamp(Date.parse(record.window_start));
+      const windowEnd = toSqliteTimestamp(state.lastAt);
+      if (record.kind === 'clicks') {
+        await run(db, 'INSERT INTO click_events (counter, delta, window_start, window_end, source) VALUES (?, ?, ?, ?, ?)',
+          [record.counter, record.delta, windowStart, windowEnd, record.source]);
+      } else {
+        await run(db, 'INSERT INTO count_adjustments (counter, delta, reason, created_at) VALUES (?, ?, ?, ?)',
+          [record.counter, record.delta, record.reason, windowEnd]);
+      }
+      records++;
+    }
+
+    await recordAudit(db, {
+      action: 'import',
+      details: { records, counters: Object.fromEntries(state.totals) }
+    });
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK');
+    throw error;
+  }
+
+  return { records, counters: state.totals };
+}
+
+function formatOf(file, flag) {
+  if (flag) return flag;
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+  return null;
+}
+
+module.exports = { importHistory, validateRecord };
+
+if (require.main === module) {
+  const sqlite3 = require('sqlite3');
+  const { loadConfig } = require('./config');
+  const { createCounterStore } = require('./stores');
+  const { createCounterRegistry } = require('./counters');
+  const { seedCache } = require('./saved-counts');
+
+  configureLogger({ format: 'pretty' });
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const formatFlag = formatIndex === -1 ? null : args.splice(formatIndex, 2)[1];
+  const [file] = args;
+  const format = file && formatOf(file, formatFlag);
+
+  if (!file || !FORMATS.includes(format)) {
+    console.error('Usage: node backend/import.js <file.csv|file.ndjson> [--format csv|ndjson]');
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const db = new sqlite3.Database(config.databasePath);
+
+  (async () => {
+    await runMigrations(db);
+    const { records, counters } = await importHistory(db, fs.createReadStream(file), {
+      format,
+      maxCounters: config.maxCounters
+    });
+    logger.info('Imported click history', {
+      file, records, database: config.databasePath, counters: Object.fromEntries(counters)
+    });
+
+    // Same seeding as loadInitialCount; a map cache lives in the server process
+    if (config.cacheBackend === 'map') {
+      logger.info('Map cache: the server seeds it from the database at startup');
+    } else {
+      const store = createCounterStore(config.cacheBackend, {
+        redis: { host: config.redisHost, port: config.redisPort, password: config.redisPassword },
+        memcached: { servers: config.memcachedServers }
+      });
+      await seedCache({ db, store, counters: createCounterRegistry({ db, maxCounters: config.maxCounters }) });
+      if (store.healthy()) {
+        logger.info('Cache seeded with the imported counts', { cache: store.type });
+      } else {
+        logger.warn('Cache not reachable; the server seeds it from the database at startup', { cache: store.type });
+      }
+      await store.close();
+    }
+  })()
+    .then(() => db.close())
+    .catch((error) => {
+      logger.error(`Import failed: ${error.message}`);
+      db.close(() => process.exit(1));
+    });
+}
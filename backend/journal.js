@@ -0,0 +1,80 @@
+// ============================================================================
+// PENDING WRITES JOURNAL
+// ============================================================================
+//
+// pendingWrites only lives in memory until flushBatch writes it to SQLite, so
+// a crash (or a kill after the shutdown timeout) used to lose up to
+// BATCH_TIMEOUT worth of clicks. Every increment is now appended to this file,
+// one JSON line, before the click is acknowledged. After each committed batch
+// the file is rewritten with whatever is still pending.
+//
+// Each entry carries a `seq` that keeps growing across restarts (it starts
+// from the clock, in microseconds). writeBatch stores the highest committed
+// seq in journal_state in the same transaction as the clicks, so replaying a
+// journal that still holds already-committed entries (crash between COMMIT
+// and the rewrite) skips them instead of counting them twice.
+//
+// So the replay must be written before any other flush: a flush commits a
+// higher seq and rewrites the file, and the leftovers would then be skipped.
+// server.js replays inside its startup transaction, before it listens.
+
+const fs = require('fs');
+
+function createJournal(file) {
+  let fd = null;
+  let lastSeq = 0;
+
+  return {
+    // Entries left over from the previous run, oldest first. A torn last line
+    // (crash mid-write) is dropped: that click was never acknowledged.
+    recover() {
+      let entries = [];
+      if (fs.existsSync(file)) {
+        entries = fs.readFileSync(file, 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map(line => {
+            try {
+              return JSON.parse(line);
+            } catch (error) {
+              return null;
+            }
+          })
+          .filter(entry => entry && Number.isInteger(entry.seq) && Number.isInteger(entry.delta));
+      }
+
+      // reduce, not Math.max(...): spreading a large journal overflows the stack
+      lastSeq = entries.reduce((max, entry) => Math.max(max, entry.seq), Date.now() * 1000);
+      fd = fs.openSync(file, 'a');
+      return entries;
+    },
+
+    // Assigns entry.seq and appends the entry; throws if the write fails
+    append(entry) {
+      entry.seq = ++lastSeq;
+      fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+      return entry;
+    },
+
+    // Replace the contents with `entries` (still pending after a flush)
+    reset(entries) {
+      if (entries.length === 0) {
+        fs.ftruncateSync(fd, 0);
+        return;
+      }
+
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      fs.renameSync(tmp, file);
+      fs.closeSync(fd);
+      fd = fs.openSync(file, 'a');
+    },
+
+    close() {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    }
+  };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,137 @@
+// ============================================================================
+// LEADERBOARDS
+// ============================================================================
+//
+// Top devices by clicks on the default counter, per UTC day, per week
+// (starting Monday, UTC) and all time. SQLite always has the data:
+// flushBatch updates device_daily_clicks and devices.clicks. With Redis, the
+// boards are also kept in sorted sets updated on every click, so they are
+// live instead of trailing by one batch. They miss the clicks taken while
+// Redis is down (or all of them, if Redis restarted), so they are seeded from
+// SQLite at startup and again after every outage (server.js, on the store's
+// onRecover), and SQLite answers until that seed has finished. Device ids are
+// never returned, only ranks, display names and clicks.
+
+const { get, all } = require('./db');
+
+const PERIODS = ['daily', 'weekly', 'all-time'];
+const RANK_TTL = {
+  daily: 2 * 24 * 60 * 60,
+  weekly: 8 * 24 * 60 * 60,
+  'all-time': null
+};
+const SEED_LIMIT = 1000;
+
+// "YYYY-MM-DD" in UTC
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function utcWeekStart(ms) {
+  const date = new Date(ms);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return utcDay(ms - daysSinceMonday * 24 * 60 * 60 * 1000);
+}
+
+// First day included in the period, or null for all time
+function periodStart(period, now) {
+  if (period === 'daily') return utcDay(now);
+  if (period === 'weekly') return utcWeekStart(now);
+  return null;
+}
+
+function rankKey(period, now) {
+  const start = periodStart(period, now);
+  return start ? `lizard:lb:${period}:${start}` : `lizard:lb:${period}`;
+}
+
+function createLeaderboard({ db, store }) {
+  let seeded = false; // the sorted sets hold everything SQLite has
+  const canRank = () => typeof store.topRanks === 'function' && store.healthy();
+  const hasRanks = () => seeded && canRank();
+
+  // [{ deviceId, clicks, name }] from SQLite
+  function sqliteTop(period, limit, now) {
+    const start = periodStart(period, now);
+    if (!start) {
+      return all(db, `
+        SELECT id AS deviceId, clicks, display_name AS name
+        FROM devices WHERE clicks > 0
+        ORDER BY clicks DESC, id LIMIT ?
+      `, [limit]);
+    }
+    return all(db, `
+      SELECT c.device_id AS deviceId, SUM(c.clicks) AS clicks, d.display_name AS name
+      FROM device_daily_clicks c LEFT JOIN devices d ON d.id = c.device_id
+      WHERE c.day >= ?
+      GROUP BY c.device_id
+      ORDER BY clicks DESC, c.device_id LIMIT ?
+    `, [start, limit]);
+  }
+
+  async function redisTop(period, limit, now) {
+    const ranks = await store.topRanks(rankKey(period, now), limit);
+    if (!ranks) return null;
+    if (ranks.length === 0) return [];
+
+    const ids = ranks.map(rank => rank.member);
+    const rows = await all(db,
+      `SELECT id, display_name FROM devices WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    const names = new Map(rows.map(row => [row.id, row.display_name]));
+    return ranks.map(({ member, score }) => ({ deviceId: member, clicks: score, name: names.get(member) || null }));
+  }
+
+  return {
+    isValidPeriod(period) {
+      return PERIODS.includes(period);
+    },
+
+    // Live sorted-set update for one batch of a device's clicks (Redis only;
+    // also while a seed runs, which never lowers a score)
+    record(deviceId, delta, now = Date.now()) {
+      if (!deviceId || !canRank()) return;
+      PERIODS.forEach(period => {
+        store.incrementRank(rankKey(period, now), deviceId, delta, RANK_TTL[period]);
+      });
+    },
+
+    // Redis came back: the sorted sets are behind until the next seed
+    invalidate() {
+      seeded = false;
+    },
+
+    // Copy SQLite's boards into Redis (at startup and after an outage)
+    async seed(now = Date.now()) {
+      if (!canRank()) return false;
+      for (const period of PERIODS) {
+        const rows = await sqliteTop(period, SEED_LIMIT, now);
+        const entries = rows.map(row => ({ member: row.deviceId, score: row.clicks }));
+        if (entries.length > 0 && !await store.seedRanks(rankKey(period, now), entries, RANK_TTL[period])) {
+          return false;
+        }
+      }
+      seeded = true;
+      return true;
+    },
+
+    // [{ rank, name, clicks, me }] for the requesting device `deviceId`
+    async top(period, limit, deviceId, now = Date.now()) {
+      const rows = (hasRanks() && await redisTop(period, limit, now)) || await sqliteTop(period, limit, now);
+      return rows.map((row, index) => ({
+        rank: index + 1,
+        name: row.name || null,
+        clicks: row.clicks,
+        me: row.deviceId === deviceId
+      }));
+    },
+
+    async nameOf(deviceId) {
+      const row = await get(db, 'SELECT display_name FROM devices WHERE id = ?', [deviceId]);
+      return row ? row.display_name : null;
+    },
+
+    periodStart
+  };
+}
+
+module.exports = { createLeaderboard, utcDay, PERIODS };
@@ -0,0 +1,175 @@
+// ============================================================================
+// LOGGER
+// ============================================================================
+//
+// Leveled, structured logging. Every line is one record:
+//
+//   { "time": "...", "level": "info", "msg": "Batch written", "events": 1, ... }
+//
+// `logger` works as soon as it is required (info, JSON to stdout/stderr);
+// server.js calls configureLogger() once the config is loaded. child(fields)
+// returns a logger that adds `fields` to every record (request ids).
+//
+// Formats: 'json' (one object per line, for production) or 'pretty'
+// ("HH:MM:SS.mmm INFO  message key=value", for a terminal). With `dir` set,
+// records are also appended as JSON to <dir>/lizard-loop.log, rotated at
+// `maxBytes` and keeping `maxFiles` old files (lizard-loop.log.1 is newest).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FILE = 'lizard-loop.log';
+
+const settings = {
+  level: 'info',
+  format: 'json',
+  file: null // { dir, maxBytes, maxFiles, fd, size }
+};
+
+// Errors don't survive JSON.stringify: keep what helps debugging
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function toRecord(level, msg, fields) {
+  const record = { time: new Date().toISOString(), level, msg };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) record[key] = serialize(value);
+  }
+  return record;
+}
+
+function prettyLine(record) {
+  const { time, level, msg, ...fields } = record;
+  const extra = [];
+  const stacks = [];
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value && value.stack) stacks.push(`\n${value.stack}`);
+    else extra.push(`${key}=${value && typeof value === 'object' ? JSON.stringify(value) : value}`);
+  });
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...extra].join(' ') + stacks.join('');
+}
+
+// ---- Rotating file output ---------------------------------------------------
+
+function openLogFile(file) {
+  const target = path.join(file.dir, LOG_FILE);
+  fs.mkdirSync(file.dir, { recursive: true });
+  file.fd = fs.openSync(target, 'a');
+  file.size = fs.fstatSync(file.fd).size;
+}
+
+// lizard-loop.log -> .1 -> .2 ... the oldest beyond maxFiles is dropped
+function rotateLogFile(file) {
+  const target = path.join(file.dir, LOG_FILE);
+  fs.closeSync(file.fd);
+  for (let index = file.maxFiles - 1; index >= 1; index--) {
+    const from = `${target}.${index}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${target}.${index + 1}`);
+  }
+  fs.rmSync(`${target}.${file.maxFiles}`, { force: true });
+  if (file.maxFiles > 0) fs.renameSync(target, `${target}.1`);
+  else fs.rmSync(target, { force: true });
+  openLogFile(file);
+}
+
+function writeToFile(line) {
+  const file = settings.file;
+  if (!file) return;
+  try {
+    const data = `${line}\n`;
+    if (file.size > 0 && file.size + Buffer.byteLength(data) > file.maxBytes) rotateLogFile(file);
+    fs.writeSync(file.fd, data);
+    file.size += Buffer.byteLength(data);
+  } catch (error) {
+    // Losing the file must not take the server down; stdout still has it
+    settings.file = null;
+    process.stderr.write(`${JSON.stringify(toRecord('error', 'Log file disabled', { err: error }))}\n`);
+  }
+}
+
+// ---- Loggers ----------------------------------------------------------------
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const record = toRecord(level, msg, fields);
+  const json = JSON.stringify(record);
+  const line = settings.format === 'pretty' ? prettyLine(record) : json;
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+  writeToFile(json);
+}
+
+function createLogger(bound = {}) {
+  const logger = {
+    child: fields => createLogger({ ...bound, ...fields })
+  };
+  Object.keys(LEVELS).forEach((level) => {
+    logger[level] = (msg, fields = {}) => write(level, msg, { ...bound, ...fields });
+  });
+  return logger;
+}
+
+const logger = createLogger();
+
+// { level, format, dir, maxBytes, maxFiles }; dir empty = no file output
+function configureLogger({ level, format, dir, maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+  if (level) settings.level = level;
+  if (format) settings.format = format;
+  if (settings.file) {
+    fs.closeSync(settings.file.fd);
+    settings.file = null;
+  }
+  if (dir) {
+    const file = { dir, maxBytes, maxFiles };
+    openLogFile(file);
+    settings.file = file;
+  }
+}
+
+function closeLogger() {
+  if (settings.file) {
+    fs.closeSync(settings.file.fd);
+    settings.file = null;
+  }
+}
+
+// ---- Request ids and access logs --------------------------------------------
+
+// Ids from a proxy (nginx $request_id) or a client are kept if they look sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Sets req.id and req.log (a child logger carrying requestId), echoes the id
+// in X-Request-Id, and writes one access record per request under `accessPrefix`
+function requestLogger({ accessPrefix = '/api' } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    if (req.path.startsWith(accessPrefix)) {
+      const start = process.hrtime.bigint();
+      // 'close' also fires for SSE streams and aborted requests, which never 'finish'
+      res.once('close', () => {
+        const level = res.statusCode >= 500 ? 'warn' : 'info';
+        req.log[level]('request', {
+          method: req.method,
+          path: req.baseUrl + req.path, // no query string: it can carry click tokens
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+          bytes: Number(res.get('Content-Length')) || undefined,
+          aborted: res.writableFinished ? undefined : true
+        });
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { logger, configureLogger, closeLogger, requestLogger, LEVELS };
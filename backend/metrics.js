@@ -0,0 +1,158 @@
+// ============================================================================
+// METRICS (Prometheus)
+// ============================================================================
+//
+// A small registry of counters, gauges and histograms rendered in the
+// Prometheus text exposition format for GET /metrics. Label sets are kept
+// small on purpose (counter names, policies, backends): never label by client.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; SQLite and cache calls are usually well under a millisecond
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Same label names in the same order, whatever order the caller used
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelObject(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createMetrics() {
+  const families = [];
+
+  function register(family) {
+    if (families.some(existing => existing.name === family.name)) {
+      throw new Error(`Metric ${family.name} registered twice`);
+    }
+    families.push(family);
+  }
+
+  // Monotonic count: inc(labels, amount = 1)
+  function counter({ name, help, labels = [] }) {
+    const values = new Map();
+    if (labels.length === 0) values.set(labelKey(labels, {}), 0); // exported as 0 before the first inc()
+    register({
+      name, help, type: 'counter',
+      samples: () => [...values].map(([key, value]) => ({ labels: labelObject(labels, key), value }))
+    });
+    return {
+      inc(labelValues = {}, amount = 1) {
+        const key = labelKey(labels, labelValues);
+        values.set(key, (values.get(key) || 0) + amount);
+      }
+    };
+  }
+
+  // Value read at scrape time: `collect` returns a number, or
+  // [{ labels, value }] for labelled gauges (may be async)
+  function gauge({ name, help, collect }) {
+    register({
+      name, help, type: 'gauge',
+      samples: async () => {
+        const value = await collect();
+        return Array.isArray(value) ? value : [{ labels: {}, value }];
+      }
+    });
+  }
+
+  // Distribution: observe(labels, value), or startTimer(labels)() for durations in seconds
+  function histogram({ name, help, labels = [], buckets = LATENCY_BUCKETS }) {
+    const series = new Map(); // labelKey -> { counts, sum, count }
+
+    function seriesFor(key) {
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      return series.get(key);
+    }
+    if (labels.length === 0) seriesFor(labelKey(labels, {}));
+
+    function observe(labelValues = {}, value) {
+      const entry = seriesFor(labelKey(labels, labelValues));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+
+    register({
+      name, help, type: 'histogram',
+      samples: () => [...series].flatMap(([key, entry]) => {
+        const base = labelObject(labels, key);
+        return [
+          ...buckets.map((bound, index) => ({
+            suffix: '_bucket', labels: { ...base, le: formatValue(bound) }, value: entry.counts[index]
+          })),
+          { suffix: '_bucket', labels: { ...base, le: '+Inf' }, value: entry.count },
+          { suffix: '_sum', labels: base, value: entry.sum },
+          { suffix: '_count', labels: base, value: entry.count }
+        ];
+      })
+    });
+
+    return {
+      observe,
+      startTimer(labelValues = {}) {
+        const start = process.hrtime.bigint();
+        return () => observe(labelValues, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    };
+  }
+
+  async function render() {
+    const lines = [];
+    for (const family of families) {
+      const samples = await family.samples();
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      samples.forEach(({ suffix = '', labels, value }) => {
+        lines.push(`${family.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// Time every query on a sqlite3 Database (helpers in db.js and direct
+// db.get/db.run calls alike), labelled by method. Queries without a callback
+// are not timed.
+function instrumentDatabase(db, histogram) {
+  ['run', 'get', 'all', 'exec'].forEach((method) => {
+    const original = db[method];
+    db[method] = function (...args) {
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        const end = histogram.startTimer({ method });
+        args[args.length - 1] = function (...results) {
+          end();
+          // run() reports lastID / changes through `this`
+          return callback.apply(this, results);
+        };
+      }
+      return original.apply(this, args);
+    };
+  });
+  return db;
+}
+
+module.exports = { createMetrics, instrumentDatabase, LATENCY_BUCKETS };
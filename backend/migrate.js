@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+//
+// Numbered migrations live in backend/migrations/NNN-description.js and export
+// { description, up: [sql, ...] }. Applied versions are recorded in the
+// schema_version table; each pending migration runs in its own transaction
+// together with its schema_version row, so a failure leaves the database at
+// the previous version.
+//
+// The server runs pending migrations at startup. From the command line:
+//
+//   node backend/migrate.js            apply pending migrations to the configured database
+//   node backend/migrate.js --dry-run  print pending migrations without applying
+
+const fs = require('fs');
+const path = require('path');
+const { run, all } = require('./db');
+const { logger, configureLogger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)-.+\.js$/;
+
+// Every migration file, sorted by version
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const { description, up } = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(file.match(FILE_PATTERN)[1], 10), file, description, up };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions(db, { dryRun }) {
+  if (dryRun) {
+    // Don't create anything on a dry run; a missing table means nothing applied
+    const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+    if (tables.length === 0) return new Set();
+  }
+
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const rows = await all(db, 'SELECT version FROM schema_version');
+  return new Set(rows.map(row => row.version));
+}
+
+async function applyMigration(db, migration) {
+  await run(db, 'BEGIN');
+  try {
+    for (const sql of migration.up) {
+      await run(db, sql);
+    }
+    await run(db, 'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+      [migration.version, migration.description]);
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK');
+    throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+  }
+}
+
+// Apply (or with dryRun, only list) pending migrations; resolves to the pending list
+async function runMigrations(db, { dryRun = false } = {}) {
+  const applied = await appliedVersions(db, { dryRun });
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    logger.info('Database schema up to date');
+    return pending;
+  }
+
+  for (const migration of pending) {
+    if (dryRun) {
+      console.log(`📝 [dry run] ${migration.file}: ${migration.description}`);
+      migration.up.forEach(sql => console.log(`   ${sql.replace(/\s+/g, ' ').trim()};`));
+      continue;
+    }
+    await applyMigration(db, migration);
+    logger.info('Applied migration', { file: migration.file, description: migration.description });
+  }
+
+  return pending;
+}
+
+module.exports = { runMigrations };
+
+if (require.main === module) {
+  const sqlite3 = require('sqlite3');
+  const { loadConfig } = require('./config');
+  const dryRun = process.argv.includes('--dry-run');
+  configureLogger({ format: 'pretty' });
+  const db = new sqlite3.Database(loadConfig().databasePath);
+
+  runMigrations(db, { dryRun })
+    .then((pending) => {
+      console.log(dryRun
+        ? `✅ ${pending.length} pending migration(s), nothing applied`
+        : `✅ ${pending.length} migration(s) applied`);
+      db.close();
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      db.close();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,11 @@
+// Original schema. IF NOT EXISTS so databases created before migrations adopt it.
+module.exports = {
+  description: 'Create clicks table',
+  up: [
+    `CREATE TABLE IF NOT EXISTS clicks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      count INTEGER NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  ]
+};
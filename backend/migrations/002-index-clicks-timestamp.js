@@ -0,0 +1,7 @@
+// /api/history and /api/stats filter and sort clicks by timestamp
+module.exports = {
+  description: 'Index clicks.timestamp',
+  up: [
+    'CREATE INDEX IF NOT EXISTS idx_clicks_timestamp ON clicks (timestamp)'
+  ]
+};
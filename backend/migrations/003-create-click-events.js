@@ -0,0 +1,31 @@
+// Append-only click log: one row per flushed batch holding the clicks it added.
+// The current count is SUM(delta). Existing count snapshots are converted into
+// events: each snapshot contributes what the counter grew since the highest
+// earlier snapshot, over the window since the previous snapshot. The clicks
+// table is kept as-is for reference but no longer written.
+module.exports = {
+  description: 'Create click_events and backfill it from clicks snapshots',
+  up: [
+    `CREATE TABLE click_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delta INTEGER NOT NULL CHECK (delta > 0),
+      window_start DATETIME NOT NULL,
+      window_end DATETIME NOT NULL,
+      source TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_click_events_window_end ON click_events (window_end)',
+    `INSERT INTO click_events (delta, window_start, window_end, source)
+      SELECT count - previous_max, COALESCE(previous_timestamp, timestamp), timestamp, 'snapshot'
+      FROM (
+        SELECT
+          count,
+          timestamp,
+          COALESCE(MAX(count) OVER (ORDER BY timestamp, id ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING), 0) AS previous_max,
+          LAG(timestamp) OVER (ORDER BY timestamp, id) AS previous_timestamp
+        FROM clicks
+      )
+      WHERE count > previous_max
+      ORDER BY timestamp`
+  ]
+};
@@ -0,0 +1,14 @@
+// Named counters: a registry of names, and the counter each event belongs to.
+// Existing events belong to the default counter.
+module.exports = {
+  description: 'Create counters and tag click_events with a counter name',
+  up: [
+    `CREATE TABLE counters (
+      name TEXT PRIMARY KEY,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    "INSERT INTO counters (name) VALUES ('default')",
+    "ALTER TABLE click_events ADD COLUMN counter TEXT NOT NULL DEFAULT 'default'",
+    'CREATE INDEX idx_click_events_counter_window_end ON click_events (counter, window_end)'
+  ]
+};
@@ -0,0 +1,19 @@
+// Anonymous device identities: per-device click totals, and server-generated
+// secrets (used to sign device tokens when none is configured).
+module.exports = {
+  description: 'Create devices and app_secrets',
+  up: [
+    `CREATE TABLE devices (
+      id TEXT PRIMARY KEY,
+      clicks INTEGER NOT NULL DEFAULT 0,
+      imported_clicks INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE app_secrets (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  ]
+};
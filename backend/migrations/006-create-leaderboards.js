@@ -0,0 +1,15 @@
+// Leaderboards: optional public display names, and per-device clicks per UTC
+// day for the daily/weekly boards (all-time uses devices.clicks).
+module.exports = {
+  description: 'Add devices.display_name and device_daily_clicks',
+  up: [
+    'ALTER TABLE devices ADD COLUMN display_name TEXT',
+    `CREATE TABLE device_daily_clicks (
+      device_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      clicks INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (device_id, day)
+    )`,
+    'CREATE INDEX idx_device_daily_clicks_day ON device_daily_clicks (day)'
+  ]
+};
@@ -0,0 +1,11 @@
+// Geographic breakdown: clicks on the default counter per country code (from
+// a proxy header such as CF-IPCountry). Only the code is kept, never the IP.
+module.exports = {
+  description: 'Create click_countries',
+  up: [
+    `CREATE TABLE click_countries (
+      country TEXT PRIMARY KEY,
+      clicks INTEGER NOT NULL DEFAULT 0
+    )`
+  ]
+};
@@ -0,0 +1,11 @@
+// Highest journal seq committed to click_events, per journal file, so a
+// replayed journal never counts the same click twice (see backend/journal.js).
+module.exports = {
+  description: 'Create journal_state',
+  up: [
+    `CREATE TABLE journal_state (
+      journal TEXT PRIMARY KEY,
+      last_seq INTEGER NOT NULL
+    )`
+  ]
+};
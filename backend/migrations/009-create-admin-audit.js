@@ -0,0 +1,23 @@
+// Admin API: manual count corrections (the saved count is now the click_events
+// sum plus the adjustments sum) and an audit trail of every admin action.
+module.exports = {
+  description: 'Create count_adjustments and admin_audit',
+  up: [
+    `CREATE TABLE count_adjustments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      counter TEXT NOT NULL,
+      delta INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE admin_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      reason TEXT,
+      details TEXT,
+      request_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_admin_audit_created_at ON admin_audit (created_at)'
+  ]
+};
@@ -0,0 +1,84 @@
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+//
+// Every express-rate-limit policy lives here. Hits are counted in the active
+// counter store (Redis or Memcached when available, in process otherwise) so
+// several instances behind nginx share one limit per client.
+//
+// The limits below are defaults: each can be overridden in the config
+// (rateLimits.<name>, or RATE_LIMIT_<NAME>="<max>/<seconds>" or "off").
+
+const rateLimit = require('express-rate-limit');
+
+const POLICIES = {
+  clicks: { max: 200, windowSeconds: 60, message: 'Too many clicks, slow down! 🦎' }, // POST /api/clicks, /api/counters/:name
+  tokens: { max: 200, windowSeconds: 60 },  // POST /api/clicks/token (one per click request)
+  stats: { max: 120, windowSeconds: 60 },   // /api/stats, /api/stats/geo
+  health: { max: 300, windowSeconds: 60 },  // /api/health, /metrics (monitors poll them)
+  api: { max: 120, windowSeconds: 60 }      // everything else under /api
+};
+
+// express-rate-limit store over the counter store: fixed windows, one key per
+// client per window, expiring with it
+function createLimitStore(store, name) {
+  let windowMs = 60 * 1000;
+
+  function current(key) {
+    const window = Math.floor(Date.now() / windowMs);
+    return {
+      storeKey: `lizard:rl:${name}:${key}:${window}`,
+      resetTime: new Date((window + 1) * windowMs)
+    };
+  }
+
+  return {
+    prefix: `lizard:rl:${name}:`,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { storeKey, resetTime } = current(key);
+      const totalHits = await store.incrementKey(storeKey, 1, Math.ceil(windowMs / 1000));
+      return { totalHits, resetTime };
+    },
+
+    async decrement(key) {
+      await store.incrementKey(current(key).storeKey, -1, Math.ceil(windowMs / 1000));
+    },
+
+    async resetKey(key) {
+      await store.deleteKey(current(key).storeKey);
+    }
+  };
+}
+
+// { clicks, tokens, stats, health, api } middlewares. `overrides` maps policy
+// names to { max, windowSeconds } or { off: true } (config.rateLimits).
+// `onLimit(name)` is called for every rejected request (metrics).
+function createRateLimiters(store, overrides = {}, onLimit = () => {}) {
+  const limiters = {};
+  for (const [name, defaults] of Object.entries(POLICIES)) {
+    const policy = { ...defaults, ...overrides[name] };
+    limiters[name] = policy.off
+      ? (req, res, next) => next()
+      : rateLimit({
+        windowMs: policy.windowSeconds * 1000,
+        limit: policy.max,
+        message: { error: policy.message || 'Too many requests' },
+        standardHeaders: true,
+        legacyHeaders: false,
+        store: createLimitStore(store, name),
+        handler: (req, res, next, options) => {
+          onLimit(name);
+          res.status(options.statusCode).json(options.message);
+        }
+      });
+  }
+  return limiters;
+}
+
+module.exports = { createRateLimiters, POLICIES };
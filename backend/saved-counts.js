@@ -0,0 +1,29 @@
+// What SQLite says each counter is at: its clicks in the event log plus admin
+// corrections. Used to seed the cache at startup (loadInitialCount) and after
+// an import (backend/import.js).
+
+const { all } = require('./db');
+
+// Map of counter name -> saved total
+async function loadSavedTotals(db) {
+  const rows = await all(db, `
+    SELECT counter, COALESCE(SUM(delta), 0) as total FROM (
+      SELECT counter, delta FROM click_events
+      UNION ALL
+      SELECT counter, delta FROM count_adjustments
+    ) GROUP BY counter
+  `);
+  return new Map(rows.map(row => [row.counter, row.total]));
+}
+
+// Set every registered counter in the store to its saved total
+async function seedCache({ db, store, counters }) {
+  const names = await counters.load();
+  const totals = await loadSavedTotals(db);
+  for (const name of names) {
+    await store.set(totals.get(name) || 0, name);
+  }
+  return { names, totals };
+}
+
+module.exports = { loadSavedTotals, seedCache };
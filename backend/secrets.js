@@ -0,0 +1,16 @@
+// Server secrets: taken from the environment when set, otherwise generated once
+// and kept in the app_secrets table so they survive restarts.
+
+const crypto = require('crypto');
+const { run, get } = require('./db');
+
+async function loadSecret(db, name, configured) {
+  if (configured) return configured;
+
+  const generated = crypto.randomBytes(32).toString('hex');
+  await run(db, 'INSERT OR IGNORE INTO app_secrets (name, value) VALUES (?, ?)', [name, generated]);
+  const row = await get(db, 'SELECT value FROM app_secrets WHERE name = ?', [name]);
+  return row.value;
+}
+
+module.exports = { loadSecret };
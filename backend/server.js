@@ -1,29 +1,136 @@
 const express = require('express');
+const http = require('http');
 const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
-const rateLimit = require('express-rate-limit');
+const { AsyncLocalStorage } = require('async_hooks');
+const { loadConfig, redactConfig } = require('./config');
+const { logger, configureLogger, closeLogger, requestLogger } = require('./logger');
+const { createCounterStore } = require('./stores');
+const { createRateLimiters } = require('./rate-limits');
+const { createCountStream } = require('./count-stream');
+const { attachClickSocket } = require('./click-socket');
+const { createClickBudget } = require('./click-budget');
+const { idempotency } = require('./idempotency');
+const { parseHistoryQuery, getHistory } = require('./history');
+const { runMigrations } = require('./migrate');
+const { run, get, toSqliteTimestamp } = require('./db');
+const { DEFAULT_COUNTER, isValidCounterName, createCounterRegistry } = require('./counters');
+const { deviceIdentity, identifyRequest } = require('./device-identity');
+const { loadSecret } = require('./secrets');
+const { createLeaderboard, utcDay } = require('./leaderboard');
+const { validateDisplayName } = require('./display-names');
+const { createGeo, counterCountry } = require('./geo');
+const { createBotDetector, clientIp } = require('./bot-detection');
+const { requireAdmin, requireToken } = require('./admin-auth');
+const { parseReason, recordAudit, listAudit, MAX_REASON_LENGTH } = require('./admin-audit');
+const { createClickTokens } = require('./click-tokens');
+const { createJournal } = require('./journal');
+const { loadSavedTotals, seedCache } = require('./saved-counts');
+const { parseExportQuery, streamExport } = require('./export');
+const { createMetrics, instrumentDatabase } = require('./metrics');
+const { createBackupScheduler, writePidFile, removePidFile } = require('./backup');
+
+// ⚙️ Settings: env vars over CONFIG_FILE over defaults (backend/config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Files the server must be able to write at startup. With Docker, a bind
+// mount the host didn't have yet is created owned by root, not by the
+// container's user (see docker-entrypoint.sh).
+function exitOnFileError(what, dir, error) {
+  const hint = error.code === 'EACCES' || error.code === 'EPERM'
+    ? ` (make ${path.resolve(dir)} writable by uid ${process.getuid()})`
+    : '';
+  logger.error(`Cannot open the ${what}: ${error.message}${hint}`);
+  process.exit(1);
+}
+
+// 🪵 JSON logs to stdout (LOG_FORMAT=pretty for a terminal), plus LOG_DIR files
+try {
+  configureLogger({
+    level: config.logLevel,
+    format: config.logFormat,
+    dir: config.logDir,
+    maxBytes: config.logMaxBytes,
+    maxFiles: config.logMaxFiles
+  });
+} catch (error) {
+  exitOnFileError('log file', config.logDir, error);
+}
+logger.info('Configuration loaded', { config: redactConfig(config) });
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
-app.set('trust proxy', 2);
+const TRUSTED_PROXY_HOPS = config.trustProxyHops; // Cloudflare + Nginx
+app.set('trust proxy', TRUSTED_PROXY_HOPS);
 
-// 1. NODE.JS MAP (Current Implementation - Fastest & Simplest)
-const counter = new Map();
-counter.set('lizard:count', 0);
+// Counter store: 'map' (default), 'redis' or 'memcached'
+const store = createCounterStore(config.cacheBackend, {
+  redis: { host: config.redisHost, port: config.redisPort, password: config.redisPassword, onRecover: reseedLeaderboard },
+  memcached: { servers: config.memcachedServers, reseed: recoverCount }
+});
+
+// 📈 Prometheus metrics for GET /metrics (the gauges are read at scrape time)
+const metrics = createMetrics();
+const clicksCounted = metrics.counter({ name: 'lizard_clicks_total', help: 'Clicks counted, by counter', labels: ['counter'] });
+const clicksShadowed = metrics.counter({ name: 'lizard_clicks_shadowed_total', help: 'Clicks acknowledged but not counted (shadow-limited clients)' });
+const incrementDuration = metrics.histogram({ name: 'lizard_click_increment_duration_seconds', help: 'Counter store increment latency', labels: ['backend'] });
+const flushClicks = metrics.histogram({ name: 'lizard_batch_flush_clicks', help: 'Clicks written per batch flush', buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000] });
+const flushDuration = metrics.histogram({ name: 'lizard_batch_flush_duration_seconds', help: 'Batch flush transaction duration' });
+const flushErrors = metrics.counter({ name: 'lizard_batch_flush_errors_total', help: 'Batch flushes that failed and were retried' });
+const rateLimitRejections = metrics.counter({ name: 'lizard_rate_limit_rejections_total', help: 'Requests rejected by a rate limit, by policy', labels: ['policy'] });
+const sqliteQueryDuration = metrics.histogram({ name: 'lizard_sqlite_query_duration_seconds', help: 'SQLite query latency, by method', labels: ['method'] });
+metrics.gauge({ name: 'lizard_cache_up', help: 'Whether the cache backend (not the fallback) is serving', collect: () => [{ labels: { backend: store.type }, value: store.healthy() ? 1 : 0 }] });
+metrics.gauge({ name: 'lizard_count', help: 'Current count of the default counter', collect: () => getCurrentCount() });
+metrics.gauge({ name: 'lizard_pending_clicks', help: 'Clicks waiting for the next batch flush', collect: () => pendingClicks });
+metrics.gauge({ name: 'lizard_stream_clients', help: 'Open /api/clicks/stream connections', collect: () => countStream.clientCount() });
+metrics.gauge({ name: 'lizard_socket_clients', help: 'Open /api/clicks/ws connections', collect: () => (clickSocket ? clickSocket.clientCount() : 0) });
+metrics.gauge({ name: 'lizard_backup_last_success_timestamp_seconds', help: 'Unix time of the last verified database backup (0 = none yet)', collect: () => (backups && backups.lastSuccess() ? backups.lastSuccess().at / 1000 : 0) });
+metrics.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', collect: () => process.memoryUsage().rss });
+metrics.gauge({ name: 'nodejs_heap_used_bytes', help: 'V8 heap used in bytes', collect: () => process.memoryUsage().heapUsed });
+metrics.gauge({ name: 'process_uptime_seconds', help: 'Process uptime in seconds', collect: () => process.uptime() });
+const metricsAuth = requireToken({ token: config.metricsToken });
 
 // 🔒 BATCH WRITES: Evita SQLite lock contention
 let pendingWrites = [];
-const BATCH_SIZE = 10;
-const BATCH_TIMEOUT = 5000; // 5 segundos
+let pendingClicks = 0; // sum of pendingWrites deltas
+const BATCH_SIZE = config.batchSize;
+const BATCH_TIMEOUT = config.batchTimeoutMs; // 5 segundos by default
 let batchTimer = null;
+let flushQueue = Promise.resolve(); // flushes run one at a time (each is a transaction)
 
-// Current cache status
-let isCacheAvailable = true; // Always true for Map implementation
-let cacheType = 'map'; // 'map', 'redis', 'memcached'
+// 📓 Every pending write is journaled before the click is acknowledged; what
+// the last run never committed is replayed once the database is ready
+const journal = createJournal(config.journalPath);
+const JOURNAL_ID = path.resolve(config.journalPath);
+let recoveredWrites;
+try {
+  recoveredWrites = journal.recover();
+} catch (error) {
+  exitOnFileError('pending clicks journal', path.dirname(config.journalPath), error);
+}
+
+// 📡 SSE: live count pushes, at most one event per SSE_MIN_INTERVAL_MS, plus
+// a store read every SSE_POLL_INTERVAL_MS for clicks counted by other instances
+const countStream = createCountStream({
+  minIntervalMs: config.sseMinIntervalMs,
+  pollIntervalMs: config.ssePollIntervalMs,
+  readCount: () => getCurrentCount()
+});
+
+// Source reported to clients: the backend itself, or 'fallback' while it is down
+function countSource() {
+  return store.healthy() ? store.type : 'fallback';
+}
 
 // Middleware
 app.use(helmet({
@@ -60,6 +167,7 @@ app.use(helmet({
 }));
 */
 
+app.use(requestLogger()); // X-Request-Id + access logs for /api
 app.use(compression());
 app.use(cors());
 app.use(express.json({ limit: '1kb' })); // 🔒 Limita JSON payload
@@ -67,97 +175,247 @@ app.use(express.static(path.join(__dirname, '../public')));
 app.use('/assets', express.static(path.join(__dirname, '../public/assets')));
 
 
-// rate limiting en Express (backup de Cloudflare)
-const clickLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minuto
-  max: 200, // 3 clicks/sec, 200 clicks/minuto por IP
-  message: { error: 'Too many clicks, slow down! 🦎' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Usa X-Forwarded-For de Cloudflare/Nginx
-  skip: (req) => {
-    // Skip rate limit para health checks
-    return req.path === '/api/health';
-  }
-});
+// rate limiting en Express (backup de Cloudflare), shared across instances
+// through the counter store. Policies: backend/rate-limits.js
+const limiters = createRateLimiters(store, config.rateLimits, policy => rateLimitRejections.inc({ policy }));
 
-const apiLimiter = rateLimit({
+// 🔒 Batched clicks: max delta per request and max clicks per IP per minute
+const CLICK_MAX_DELTA = config.clickMaxDelta;
+const clickBudget = createClickBudget({
+  store,
   windowMs: 60 * 1000,
-  max: 120, // 120 requests/minuto para otras APIs
-  message: { error: 'Too many requests' },
-  standardHeaders: true,
-  legacyHeaders: false,
+  max: config.clickBudgetPerMinute
+});
+
+// Empty body = one click; { "delta": n } = n clicks. Anything else is rejected.
+function parseClickDelta(body) {
+  const keys = body ? Object.keys(body) : [];
+  if (keys.length === 0) return 1;
+  if (keys.length !== 1 || keys[0] !== 'delta') return null;
+
+  const { delta } = body;
+  if (!Number.isInteger(delta) || delta < 1 || delta > CLICK_MAX_DELTA) return null;
+  return delta;
+}
+
+// 🤖 Autoclicker detection: flagged clients are shadow-limited (BOT_DETECTION=false disables)
+const botDetector = !config.botDetection
+  ? null
+  : createBotDetector({
+    flagScore: config.botFlagScore,
+    cadenceSamples: config.botCadenceSamples,
+    minCadenceVariation: config.botMinCadenceVariation,
+    sustainedClicksPerMinute: config.botSustainedClicksPerMinute,
+    sustainedWindowMs: config.botSustainedMinutes * 60 * 1000,
+    flagMs: config.botFlagMinutes * 60 * 1000
+  });
+
+// True if the clicks should be counted (not a shadow-limited client)
+function countsClicks(client, delta, headers) {
+  if (!botDetector || botDetector.observe(client, delta, headers)) return true;
+  clicksShadowed.inc({}, delta);
+  return false;
+}
+
+// 🎟️ Signed single-use click tokens (CLICK_TOKENS=true to require them)
+const CLICK_TOKENS_ENABLED = config.clickTokens;
+let clickTokenSecret = null;
+const clickTokens = createClickTokens({
+  store,
+  getSecret: () => clickTokenSecret,
+  ttlSeconds: config.clickTokenTtlSeconds,
+  difficulty: config.clickTokenDifficulty
+});
+const requireClickToken = CLICK_TOKENS_ENABLED ? clickTokens.middleware() : (req, res, next) => next();
+
+// 🔑 /api/admin/* (disabled unless ADMIN_TOKEN is set)
+const adminAuth = requireAdmin({ token: config.adminToken });
+
+// 🚧 Maintenance mode (POST /api/admin/maintenance): clicks are refused with
+// 503 until it is turned off; reads keep working. Per instance, not persisted.
+let maintenance = null; // { message, since }
+
+function rejectDuringMaintenance(req, res, next) {
+  if (maintenance) {
+    res.set('Retry-After', '60');
+    return res.status(503).json({ error: maintenance.message, maintenance: true });
+  }
+  next();
+}
+
+// 🔁 Retried POST /api/clicks with the same Idempotency-Key counts once. Keys
+// are per client: the device token the request carries (a newly issued one
+// would differ on every retry), else the IP.
+const clickIdempotency = idempotency({
+  store,
+  ttlSeconds: config.idempotencyTtlSeconds,
+  client: req => identifyRequest(req, deviceSecret) || req.ip
 });
 
 // SQLite database
-const db = new sqlite3.Database('./clicks.db', (err) => {
+const db = instrumentDatabase(new sqlite3.Database(config.databasePath, (err) => {
   if (err) {
-    console.error('Error opening database:', err.message);
+    logger.error('Error opening database', { err, path: config.databasePath });
   } else {
-    console.log('Connected to SQLite database');
+    logger.info('Connected to SQLite database', { path: config.databasePath });
     initializeDatabase();
   }
+}), sqliteQueryDuration);
+
+// 🛟 Backups: the server's pid file makes `backup.js restore` refuse while it
+// runs; hourly/daily copies go to BACKUP_DIR between flush transactions
+writePidFile(config.databasePath, PORT);
+const backups = config.backupHourly === 0 && config.backupDaily === 0
+  ? null
+  : createBackupScheduler({
+    db,
+    databasePath: config.databasePath,
+    dir: config.backupDir,
+    hourly: config.backupHourly,
+    daily: config.backupDaily,
+    runExclusive: task => enqueueTransaction(task)
+  });
+
+// 🔢 Named counters (/api/counters/:name), at most MAX_COUNTERS including 'default'
+const counters = createCounterRegistry({
+  db,
+  maxCounters: config.maxCounters
 });
 
-// Initialize database
+// 🪪 Anonymous device identity for "My Clicks" (DEVICE_SECRET, or generated and kept in SQLite)
+let deviceSecret = null;
+const identifyDevice = deviceIdentity({ getSecret: () => deviceSecret });
+const issueDevice = deviceIdentity({ getSecret: () => deviceSecret, issue: true });
+
+// Routes that write to this device's row need a device the page was issued
+function requireDevice(req, res, next) {
+  if (!deviceSecret) {
+    return res.status(503).json({ error: 'Device identity not ready' });
+  }
+  if (!req.deviceId) {
+    return res.status(401).json({ error: 'No device identity (GET /api/me issues one)' });
+  }
+  next();
+}
+const ME_IMPORT_MAX = config.meImportMax;
+
+// 🏆 Daily/weekly/all-time top devices (Redis sorted sets when available, else SQLite)
+const leaderboard = createLeaderboard({ db, store });
+const LEADERBOARD_MAX_LIMIT = 100;
+
+// 🌍 Clicks per country, from the proxy's country header (never the IP)
+const geo = createGeo({ db, store, header: config.geoHeader });
+
+// Initialize database: apply pending schema migrations (backend/migrations),
+// replay the journal and seed the cache, then start listening. This is the
+// first queued transaction, so no flush can BEGIN inside a migration or
+// commit past the journal before it is replayed, and no click arrives before
+// the cache holds the saved counts.
 function initializeDatabase() {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS clicks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      count INTEGER NOT NULL,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating table:', err.message);
-    } else {
-      console.log('Database table ready');
-      loadInitialCount();
-    }
-  });
+  enqueueTransaction(async () => {
+    await runMigrations(db);
+    deviceSecret = await loadSecret(db, 'device', config.deviceSecret);
+    clickTokenSecret = await loadSecret(db, 'click-token', config.clickTokenSecret);
+    logger.info('Database ready');
+    await replayJournal();
+    await loadInitialCount();
+    await geo.load();
+    await leaderboard.seed();
+  })
+    .then(() => {
+      if (backups) backups.start();
+      startServer();
+    })
+    .catch((err) => {
+      // Never serve on a half-migrated schema
+      logger.error('Database initialization failed', { err });
+      process.exit(1);
+    });
 }
 
-// Load initial count
+// Write journaled clicks the last run acknowledged but never committed. Runs
+// before any other flush (see backend/journal.js)
+async function replayJournal() {
+  const row = await get(db, 'SELECT last_seq FROM journal_state WHERE journal = ?', [JOURNAL_ID]);
+  const lastCommitted = row ? row.last_seq : 0;
+  const replay = recoveredWrites.filter(entry => entry.seq > lastCommitted);
+
+  if (replay.length === 0) {
+    if (recoveredWrites.length > 0) journal.reset(pendingWrites);
+    return;
+  }
+
+  const clicks = replay.reduce((sum, entry) => sum + entry.delta, 0);
+  logger.info('Replaying clicks from the journal', { clicks, increments: replay.length });
+  pendingWrites = replay.concat(pendingWrites);
+  pendingClicks += clicks;
+  await writeBatch(); // already inside the queue (initializeDatabase)
+}
+
+// 🏆 Redis serves again after an outage (or for the first time): its
+// leaderboard sets missed the clicks in between. Flush this instance's
+// pending clicks, then raise the sets to what SQLite has; until that is done
+// the boards are read from SQLite.
+function reseedLeaderboard() {
+  leaderboard.invalidate();
+  enqueueTransaction(async () => {
+    await writeBatch();
+    if (await leaderboard.seed()) logger.info('Leaderboards reseeded from the database');
+  }).catch(err => logger.error('Leaderboard reseed failed', { err }));
+}
+
+// Load initial counts: each counter's saved total (backend/saved-counts.js)
 async function loadInitialCount() {
   try {
-    db.get('SELECT MAX(count) as max_count FROM clicks', async (err, row) => {
-      if (err) {
-        console.error('Error loading initial count:', err.message);
-        return;
-      }
-      
-      const initialCount = row?.max_count || 0;
-      
-      // Initialize with Map (current implementation)
-      counter.set('lizard:count', initialCount);
-      console.log(`🗺️ Map cache initialized with count: ${initialCount}`);
-    });
+    const { names, totals } = await seedCache({ db, store, counters });
+    logger.info('Initial count loaded from database', { count: totals.get(DEFAULT_COUNTER) || 0, counters: names.length });
   } catch (error) {
-    console.error('Error in loadInitialCount:', error.message);
+    logger.error('Error loading initial count', { err: error });
   }
 }
 
 // Get current count
-async function getCurrentCount() {
-  // MAP IMPLEMENTATION (Current)
-  return counter.get('lizard:count') || 0;
+async function getCurrentCount(counter = DEFAULT_COUNTER) {
+  return store.get(counter);
 }
 
-// Increment count
-async function incrementCount() {
-  const current = counter.get('lizard:count') || 0;
-  counter.set('lizard:count', current + 1);
-  return current + 1;
+// Increment count (only the default counter is pushed to live streams)
+async function incrementCount(delta = 1, counter = DEFAULT_COUNTER) {
+  const endTimer = incrementDuration.startTimer({ backend: store.type });
+  const newCount = await store.increment(delta, counter);
+  endTimer();
+  clicksCounted.inc({ counter }, delta);
+  if (counter === DEFAULT_COUNTER) countStream.publish(newCount);
+  return newCount;
+}
+
+// Clicks a device has made: saved total plus what is still pending in the batch
+async function getDeviceClicks(deviceId) {
+  const row = await get(db, 'SELECT clicks, imported_clicks FROM devices WHERE id = ?', [deviceId]);
+  const pending = pendingWrites
+    .filter(entry => entry.deviceId === deviceId)
+    .reduce((sum, entry) => sum + entry.delta, 0);
+  return {
+    counted: (row ? row.clicks : 0) + pending,
+    imported: row ? row.imported_clicks : null
+  };
 }
 
 // 🔒 BATCH WRITE: Agrupa writes para evitar lock contention
-function addToBatch(count) {
-  pendingWrites.push(count);
+// Each entry is one increment: { seq, delta, counter, deviceId, country, source, at }.
+// deviceId and country are only set for the default counter. Throws if the
+// journal can't be written, so the click is not acknowledged.
+function addToBatch(delta = 1, counter = DEFAULT_COUNTER, { deviceId = null, country = null } = {}) {
+  const entry = journal.append({ delta, counter, deviceId, country, source: countSource(), at: Date.now() });
+  pendingWrites.push(entry);
+  pendingClicks += delta;
+  if (deviceId) leaderboard.record(deviceId, delta);
+  if (country) {
+    geo.record(country, delta).catch(err => logger.error('Geo record error', { err }));
+  }
   
-  // Si alcanzamos el batch size, escribir inmediatamente
-  if (pendingWrites.length >= BATCH_SIZE) {
-    clearTimeout(batchTimer);
-    batchTimer = null;
+  // Si alcanzamos el batch size (en clicks), escribir inmediatamente
+  if (pendingClicks >= BATCH_SIZE) {
     flushBatch();
   } 
   // Si no, programar flush después del timeout
@@ -166,42 +424,139 @@ function addToBatch(count) {
   }
 }
 
+// Append the batch to click_events: one row per counter and source backend,
+// holding its clicks and the window from its first pending click to now.
+// Per-device totals are updated in the same transaction.
 function flushBatch() {
-  if (pendingWrites.length === 0) return;
+  return enqueueTransaction(writeBatch);
+}
+
+// Flushes and admin corrections share one SQLite connection, so their
+// transactions run one at a time
+const queuedTask = new AsyncLocalStorage(); // set while a queued task runs
+function enqueueTransaction(task) {
+  const result = flushQueue.then(() => queuedTask.run(true, task));
+  flushQueue = result.catch(() => {});
+  return result;
+}
+
+// 🟡 Memcached lost a counter (eviction, restart): it should hold what is saved
+// plus what this instance hasn't flushed yet, read between flushes so a batch
+// being written counts once. Already inside a queued task (admin corrections),
+// nothing is being flushed; queueing again would wait on itself.
+function recoverCount(name) {
+  const country = counterCountry(name); // geo:<country> entries count default-counter clicks
+  const read = async () => {
+    const saved = country === null
+      ? (await loadSavedTotals(db)).get(name) || 0
+      : await geo.savedClicks(country);
+    const pending = pendingWrites
+      .filter(entry => (country === null ? entry.counter === name : entry.country === country))
+      .reduce((sum, entry) => sum + entry.delta, 0);
+    return saved + pending;
+  };
+  return queuedTask.getStore() ? read() : enqueueTransaction(read);
+}
+
+// Multi-row INSERT of `rows` (arrays of values), split into statements under
+// SQLite's bound-variable limit (999 in older builds): a batch that piled up
+// during an outage or a journal replay must still fit
+const MAX_SQL_VARIABLES = 999;
+async function insertRows(insert, rows, onConflict = '') {
+  if (rows.length === 0) return;
+  const placeholder = `(${rows[0].map(() => '?').join(', ')})`;
+  const perStatement = Math.floor(MAX_SQL_VARIABLES / rows[0].length);
+  for (let start = 0; start < rows.length; start += perStatement) {
+    const chunk = rows.slice(start, start + perStatement);
+    await run(db, `${insert} VALUES ${chunk.map(() => placeholder).join(', ')} ${onConflict}`, chunk.flat());
+  }
+}
+
+// Resolves to false if the batch could not be written (it is retried later)
+async function writeBatch() {
+  clearTimeout(batchTimer);
+  batchTimer = null;
+  if (pendingWrites.length === 0) return true;
   
-  const batch = [...pendingWrites];
+  const batch = pendingWrites;
   pendingWrites = [];
-  
-  // Insertar todos los valores en una sola query
-  const placeholders = batch.map(() => '(?)').join(',');
-  const sql = `INSERT INTO clicks (count) VALUES ${placeholders}`;
-  
-  db.run(sql, batch, (err) => {
-    if (err) {
-      console.error('❌ Batch write error:', err.message);
-      // En caso de error, reintentar individualmente
-      batch.forEach(count => {
-        db.run('INSERT INTO clicks (count) VALUES (?)', [count]);
-      });
-    } else {
-      console.log(`📊 Batch wrote ${batch.length} records to database`);
+  pendingClicks = 0;
+
+  const windowEnd = toSqliteTimestamp(Date.now());
+  const events = new Map(); // 'counter|source' -> { counter, source, delta, windowStart }
+  const devices = new Map(); // deviceId -> clicks
+  const deviceDays = new Map(); // 'deviceId|YYYY-MM-DD' (UTC) -> clicks, for the leaderboards
+  const countries = new Map(); // country -> clicks
+  batch.forEach(({ delta, counter, deviceId, country, source, at }) => {
+    const key = `${counter}|${source}`;
+    const event = events.get(key) || { counter, source, delta: 0, windowStart: at };
+    event.delta += delta;
+    event.windowStart = Math.min(event.windowStart, at);
+    events.set(key, event);
+
+    if (deviceId) {
+      devices.set(deviceId, (devices.get(deviceId) || 0) + delta);
+      const dayKey = `${deviceId}|${utcDay(at)}`;
+      deviceDays.set(dayKey, (deviceDays.get(dayKey) || 0) + delta);
     }
+    if (country) countries.set(country, (countries.get(country) || 0) + delta);
   });
+
+  const rows = [...events.values()].map(event =>
+    [event.counter, event.delta, toSqliteTimestamp(event.windowStart), windowEnd, event.source]);
+  const batchClicks = batch.reduce((sum, entry) => sum + entry.delta, 0);
+  const endTimer = flushDuration.startTimer();
+
+  try {
+    await run(db, 'BEGIN');
+    try {
+      await insertRows('INSERT INTO click_events (counter, delta, window_start, window_end, source)', rows);
+      await insertRows('INSERT INTO devices (id, clicks)', [...devices],
+        'ON CONFLICT(id) DO UPDATE SET clicks = clicks + excluded.clicks, last_seen = CURRENT_TIMESTAMP');
+      await insertRows('INSERT INTO device_daily_clicks (device_id, day, clicks)',
+        [...deviceDays].map(([key, clicks]) => [...key.split('|'), clicks]),
+        'ON CONFLICT(device_id, day) DO UPDATE SET clicks = clicks + excluded.clicks');
+      await insertRows('INSERT INTO click_countries (country, clicks)', [...countries],
+        'ON CONFLICT(country) DO UPDATE SET clicks = clicks + excluded.clicks');
+      await run(db, `
+        INSERT INTO journal_state (journal, last_seq) VALUES (?, ?)
+        ON CONFLICT(journal) DO UPDATE SET last_seq = MAX(last_seq, excluded.last_seq)
+      `, [JOURNAL_ID, batch.reduce((max, entry) => Math.max(max, entry.seq), 0)]);
+      await run(db, 'COMMIT');
+    } catch (err) {
+      await run(db, 'ROLLBACK');
+      throw err;
+    }
+    endTimer();
+    flushClicks.observe({}, batchClicks);
+    logger.debug('Batch written', { events: rows.length, increments: batch.length, clicks: batchClicks });
+
+    // Committed: the journal only needs what is still pending
+    try {
+      journal.reset(pendingWrites);
+    } catch (error) {
+      logger.error('Journal rewrite error', { err: error });
+    }
+    return true;
+  } catch (err) {
+    logger.error('Batch write error', { err, increments: batch.length, clicks: batchClicks });
+    flushErrors.inc();
+    // Nothing was written: put the clicks back so the next flush retries them
+    pendingWrites = batch.concat(pendingWrites);
+    pendingClicks += batchClicks;
+    if (!batchTimer) {
+      batchTimer = setTimeout(flushBatch, BATCH_TIMEOUT);
+    }
+    return false;
+  }
 }
 
-// Sync to database
+// Sync to database: flush whatever is pending (writes nothing when idle)
 async function syncToDatabase() {
   try {
-    const currentCount = await getCurrentCount();
-    db.run('INSERT INTO clicks (count) VALUES (?)', [currentCount], (err) => {
-      if (err) {
-        console.error('Error syncing to database:', err.message);
-      } else {
-        // console.log(`📊 Synced count ${currentCount} to database`);
-      }
-    });
+    await flushBatch();
   } catch (error) {
-    console.error('Error in syncToDatabase:', error.message);
+    logger.error('Error in syncToDatabase', { err: error });
   }
 }
 
@@ -209,92 +564,599 @@ async function syncToDatabase() {
 // API ROUTES
 // ============================================================================
 
-app.get('/api/clicks', apiLimiter, async (req, res) => {
+// Shared by /api/clicks (the default counter) and /api/counters/:name
+async function sendCount(res, counter) {
   try {
-    const count = await getCurrentCount();
+    const count = await getCurrentCount(counter);
     res.json({ 
+      counter,
       count: count,
       timestamp: new Date().toISOString(),
-      source: cacheType
+      source: countSource()
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get count' });
   }
-});
+}
 
-app.post('/api/clicks', clickLimiter, async (req, res) => {
+async function addClicks(req, res, counter) {
   // Falta protección anti-spam
   try {
-    // 🔒 Body validation: Body is not expected
-    if (req.body && Object.keys(req.body).length > 0) {
-      return res.status(400).json({ error: 'No body expected' });
+    // 🔒 Body validation: empty, or { "delta": n } with 1 <= n <= CLICK_MAX_DELTA
+    const delta = parseClickDelta(req.body);
+    if (delta === null) {
+      return res.status(400).json({ error: `Expected no body or { "delta": 1-${CLICK_MAX_DELTA} }` });
+    }
+
+    // Named counters are created by an admin (POST /api/admin/counters)
+    if (counter !== DEFAULT_COUNTER && !await counters.exists(counter)) {
+      return res.status(404).json({ error: 'Counter not found' });
     }
 
-    const newCount = await incrementCount();
+    if (!await clickBudget.take(req.ip, delta)) {
+      rateLimitRejections.inc({ policy: 'click_budget' });
+      return res.status(429).json({ error: 'Too many clicks, slow down! 🦎' });
+    }
 
-    // 🔒 Batch write en lugar de write inmediato
-    addToBatch(newCount);
-    // setImmediate(() => syncToDatabase());
+    // 🤖 Shadow-limited: acknowledge as if counted, but count nothing
+    if (!countsClicks(req.ip, delta, req.headers)) {
+      return res.json({
+        counter,
+        count: await getCurrentCount(counter) + delta,
+        delta,
+        timestamp: new Date().toISOString(),
+        source: countSource()
+      });
+    }
+
+    // 🔒 Batch write en lugar de write inmediato ("My Clicks" and geo only count the default counter).
+    // Journaled before the cache sees it, so a reseeded cache already counts it.
+    addToBatch(delta, counter, counter === DEFAULT_COUNTER
+      ? { deviceId: req.deviceId, country: geo.countryOf(req) }
+      : {});
+
+    const newCount = await incrementCount(delta, counter);
     
     res.json({ 
+      counter,
       count: newCount,
+      delta,
       timestamp: new Date().toISOString(),
-      source: cacheType
+      source: countSource()
     });
   } catch (error) {
-    console.error('❌ POST /api/clicks error:', error);
+    req.log.error('Failed to increment count', { err: error, counter });
     res.status(500).json({ error: 'Failed to increment count' });
   }
+}
+
+// 🔒 Counter names: lowercase letters, digits, '-' and '_' (max 32)
+function validateCounterName(req, res, next) {
+  if (!isValidCounterName(req.params.name)) {
+    return res.status(400).json({ error: 'Invalid counter name (1-32 chars: a-z, 0-9, - and _)' });
+  }
+  next();
+}
+
+app.get('/api/clicks', limiters.api, (req, res) => sendCount(res, DEFAULT_COUNTER));
+
+// 📡 Live count over Server-Sent Events
+app.get('/api/clicks/stream', limiters.api, async (req, res) => {
+  try {
+    const count = await getCurrentCount();
+    countStream.subscribe(req, res, count);
+  } catch (error) {
+    req.log.error('GET /api/clicks/stream failed', { err: error });
+    res.status(500).json({ error: 'Failed to open count stream' });
+  }
+});
+
+// 🎟️ Click token for the next POST /api/clicks (404 unless CLICK_TOKENS=true)
+app.post('/api/clicks/token', limiters.tokens, rejectDuringMaintenance, issueDevice, (req, res) => {
+  if (!CLICK_TOKENS_ENABLED) {
+    return res.status(404).json({ error: 'Click tokens are disabled' });
+  }
+  const token = clickTokens.issue();
+  if (!token) {
+    return res.status(503).json({ error: 'Click tokens not ready' });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json(token);
+});
+
+app.post('/api/clicks', limiters.clicks, rejectDuringMaintenance, identifyDevice, requireClickToken, clickIdempotency,
+  (req, res) => addClicks(req, res, DEFAULT_COUNTER));
+
+// 🪪 "My Clicks": this device's clicks on the default counter
+app.get('/api/me', limiters.api, issueDevice, async (req, res) => {
+  if (!req.deviceId) {
+    return res.status(503).json({ error: 'Device identity not ready' });
+  }
+
+  try {
+    const { counted, imported } = await getDeviceClicks(req.deviceId);
+    res.json({
+      name: await leaderboard.nameOf(req.deviceId),
+      clicks: counted + (imported || 0),
+      counted_clicks: counted,
+      imported_clicks: imported || 0,
+      can_import: imported === null
+    });
+  } catch (error) {
+    req.log.error('GET /api/me failed', { err: error });
+    res.status(500).json({ error: 'Failed to get device clicks' });
+  }
+});
+
+// One-time import of the pre-server "My Clicks" value from localStorage.
+// Imported clicks only show up in "My Clicks"; they were already counted globally.
+app.post('/api/me/import', limiters.api, identifyDevice, requireDevice, async (req, res) => {
+  const clicks = req.body?.clicks;
+  if (!Number.isInteger(clicks) || clicks < 0 || clicks > ME_IMPORT_MAX) {
+    return res.status(400).json({ error: `Expected { "clicks": 0-${ME_IMPORT_MAX} }` });
+  }
+
+  try {
+    const { changes } = await run(db, `
+      INSERT INTO devices (id, imported_clicks) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET imported_clicks = excluded.imported_clicks
+      WHERE devices.imported_clicks IS NULL
+    `, [req.deviceId, clicks]);
+    if (changes === 0) {
+      return res.status(409).json({ error: 'Clicks already imported for this device' });
+    }
+
+    const { counted } = await getDeviceClicks(req.deviceId);
+    res.json({ clicks: counted + clicks, counted_clicks: counted, imported_clicks: clicks, can_import: false });
+  } catch (error) {
+    req.log.error('POST /api/me/import failed', { err: error });
+    res.status(500).json({ error: 'Failed to import clicks' });
+  }
+});
+
+// 🏆 Display name shown on the leaderboards ({ "name": null } clears it)
+app.post('/api/me/name', limiters.api, identifyDevice, requireDevice, async (req, res) => {
+  let name = req.body?.name ?? null;
+  if (name !== null) {
+    const result = validateDisplayName(name);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    name = result.name;
+  }
+
+  try {
+    await run(db, `
+      INSERT INTO devices (id, display_name) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET display_name = excluded.display_name
+    `, [req.deviceId, name]);
+    res.json({ name });
+  } catch (error) {
+    req.log.error('POST /api/me/name failed', { err: error });
+    res.status(500).json({ error: 'Failed to set display name' });
+  }
+});
+
+app.get('/api/leaderboard', limiters.api, identifyDevice, async (req, res) => {
+  const period = req.query.period || 'daily';
+  if (!leaderboard.isValidPeriod(period)) {
+    return res.status(400).json({ error: 'period must be daily, weekly or all-time' });
+  }
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > LEADERBOARD_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be 1-${LEADERBOARD_MAX_LIMIT}` });
+  }
+
+  try {
+    const now = Date.now();
+    res.json({
+      period,
+      since: leaderboard.periodStart(period, now),
+      entries: await leaderboard.top(period, limit, req.deviceId, now),
+      source: countSource()
+    });
+  } catch (error) {
+    req.log.error('GET /api/leaderboard failed', { err: error });
+    res.status(500).json({ error: 'Failed to get leaderboard' });
+  }
+});
+
+// 🔢 Named counters
+app.get('/api/counters', limiters.api, async (req, res) => {
+  try {
+    const list = await Promise.all(counters.list().map(async name => ({ name, count: await getCurrentCount(name) })));
+    res.json({ counters: list, source: countSource() });
+  } catch (error) {
+    req.log.error('GET /api/counters failed', { err: error });
+    res.status(500).json({ error: 'Failed to list counters' });
+  }
 });
 
-app.get('/api/stats', apiLimiter, async (req, res) => {
+app.get('/api/counters/:name', limiters.api, validateCounterName, async (req, res) => {
+  try {
+    if (!await counters.exists(req.params.name)) {
+      return res.status(404).json({ error: 'Counter not found' });
+    }
+  } catch (error) {
+    req.log.error('GET /api/counters/:name failed', { err: error });
+    return res.status(500).json({ error: 'Failed to get count' });
+  }
+  sendCount(res, req.params.name);
+});
+
+app.post('/api/counters/:name', limiters.clicks, rejectDuringMaintenance, validateCounterName, requireClickToken, clickIdempotency,
+  (req, res) => addClicks(req, res, req.params.name));
+
+app.get('/api/stats', limiters.stats, async (req, res) => {
   try {
     const currentCount = await getCurrentCount();
     
     db.get(`
       SELECT 
         COUNT(*) as total_records,
-        MAX(count) as max_count,
-        MIN(timestamp) as first_record,
-        MAX(timestamp) as last_record
-      FROM clicks
-    `, (err, row) => {
+        COALESCE(SUM(delta), 0) as total_clicks,
+        MIN(window_start) as first_record,
+        MAX(window_end) as last_record
+      FROM click_events
+      WHERE counter = ?
+    `, [DEFAULT_COUNTER], (err, row) => {
       if (err) {
-        console.error('❌ Stats query error:', err);
+        req.log.error('Stats query failed', { err });
         res.status(500).json({ error: 'Database error' });
       } else {
         res.json({
           current_memory_count: currentCount,
           database_stats: row,
-          cache_type: cacheType,
-          cache_available: isCacheAvailable
+          cache_type: store.type,
+          cache_available: store.healthy(),
+          counters: counters.list().length,
+          stream_clients: countStream.clientCount(),
+          socket_clients: clickSocket ? clickSocket.clientCount() : 0
         });
       }
     });
   } catch (error) {
-    console.error('❌ GET /api/stats error:', error);
+    req.log.error('GET /api/stats failed', { err: error });
     res.status(500).json({ error: 'Failed to get stats' });
   }
 });
 
-app.get('/api/health', async (req, res) => {
+// 🌍 Clicks on the default counter per country ("unknown" without a country header)
+app.get('/api/stats/geo', limiters.stats, async (req, res) => {
+  try {
+    const countries = await geo.breakdown();
+    res.json({
+      counter: DEFAULT_COUNTER,
+      total: countries.reduce((sum, entry) => sum + entry.clicks, 0),
+      countries,
+      source: countSource(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    req.log.error('GET /api/stats/geo failed', { err: error });
+    res.status(500).json({ error: 'Failed to get geo stats' });
+  }
+});
+
+// 📈 Clicks per minute/hour/day, summed from the click_events log
+app.get('/api/history', limiters.api, async (req, res) => {
+  const range = parseHistoryQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    res.json(await getHistory(db, range));
+  } catch (error) {
+    req.log.error('GET /api/history failed', { err: error });
+    res.status(500).json({ error: 'Failed to get history' });
+  }
+});
+
+app.get('/api/health', limiters.health, async (req, res) => {
   try {
     const currentCount = await getCurrentCount();
     res.json({ 
       status: 'healthy',
       uptime: process.uptime(),
       memory: process.memoryUsage(),
-      cache_type: cacheType,
-      cache_status: isCacheAvailable ? 'connected' : 'disconnected',
+      cache_type: store.type,
+      cache_status: store.healthy() ? 'connected' : 'disconnected',
       current_count: currentCount,
+      maintenance: Boolean(maintenance),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Health check error:', error);
+    req.log.error('Health check failed', { err: error });
     res.status(500).json({ error: 'Health check failed' });
   }
 });
 
+// 📈 Prometheus scrape target (Authorization: Bearer $METRICS_TOKEN when set)
+if (config.metricsEnabled) {
+  app.get('/metrics', limiters.health, metricsAuth, async (req, res) => {
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.render());
+    } catch (error) {
+      req.log.error('GET /metrics failed', { err: error });
+      res.status(500).json({ error: 'Failed to render metrics' });
+    }
+  });
+}
+
+// ============================================================================
+// ADMIN API (Authorization: Bearer $ADMIN_TOKEN)
+// ============================================================================
+
+// 🤖 Clients with bot signals, and whether they are shadow-limited
+app.get('/api/admin/bots', limiters.api, adminAuth, (req, res) => {
+  if (!botDetector) {
+    return res.json({ enabled: false, clients: [] });
+  }
+  res.json({
+    enabled: true,
+    thresholds: botDetector.thresholds(),
+    clients: botDetector.report()
+  });
+});
+
+const ADMIN_PENDING_MAX_LIMIT = 1000;
+const ADMIN_AUDIT_MAX_LIMIT = 500;
+const MAX_COUNT = Number.MAX_SAFE_INTEGER;
+
+// Clicks waiting in the batch, per counter
+function pendingByCounter() {
+  const pending = new Map();
+  pendingWrites.forEach(({ counter, delta }) => pending.set(counter, (pending.get(counter) || 0) + delta));
+  return pending;
+}
+
+// ✏️ Correct a counter: { "set": n } or { "adjust": ±n }, with a "reason".
+// Pending clicks are flushed first so the correction comes after them in the
+// history; it is saved in count_adjustments (with its audit row) and then
+// applied to the cache as a relative increment, so clicks landing meanwhile
+// are kept.
+app.post('/api/admin/count', limiters.api, adminAuth, async (req, res) => {
+  const { counter = DEFAULT_COUNTER, set, adjust } = req.body || {};
+  const reason = parseReason(req.body?.reason);
+  if (!reason) {
+    return res.status(400).json({ error: `reason is required (1-${MAX_REASON_LENGTH} chars)` });
+  }
+  if ((set === undefined) === (adjust === undefined)) {
+    return res.status(400).json({ error: 'Expected exactly one of "set" or "adjust"' });
+  }
+  if (set !== undefined && (!Number.isSafeInteger(set) || set < 0)) {
+    return res.status(400).json({ error: 'set must be a non-negative integer' });
+  }
+  if (adjust !== undefined && (!Number.isSafeInteger(adjust) || adjust === 0)) {
+    return res.status(400).json({ error: 'adjust must be a non-zero integer' });
+  }
+  if (!isValidCounterName(counter)) {
+    return res.status(400).json({ error: 'Invalid counter name (1-32 chars: a-z, 0-9, - and _)' });
+  }
+
+  try {
+    if (!await counters.exists(counter)) {
+      return res.status(404).json({ error: 'Counter not found' });
+    }
+
+    const result = await enqueueTransaction(async () => {
+      if (!await writeBatch()) {
+        return { status: 503, error: 'Could not flush pending clicks; try again' };
+      }
+      const previous = await getCurrentCount(counter);
+      const delta = set !== undefined ? set - previous : adjust;
+      if (previous + delta < 0 || previous + delta > MAX_COUNT) {
+        return { status: 400, error: `${counter} would end at ${previous + delta} (must be 0-${MAX_COUNT})` };
+      }
+
+      const action = set !== undefined ? 'count.set' : 'count.adjust';
+      await run(db, 'BEGIN');
+      try {
+        if (delta !== 0) {
+          await run(db, 'INSERT INTO count_adjustments (counter, delta, reason, created_at) VALUES (?, ?, ?, ?)',
+            [counter, delta, reason, toSqliteTimestamp(Date.now())]);
+        }
+        await recordAudit(db, { action, reason, details: { counter, previous, delta }, requestId: req.id });
+        await run(db, 'COMMIT');
+      } catch (err) {
+        await run(db, 'ROLLBACK');
+        throw err;
+      }
+
+      const count = delta === 0 ? previous : await store.increment(delta, counter);
+      if (counter === DEFAULT_COUNTER) countStream.publish(count);
+      return { counter, previous, delta, count };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    req.log.warn('Count corrected by admin', { ...result, reason });
+    res.json({ ...result, reason, source: countSource() });
+  } catch (error) {
+    req.log.error('POST /api/admin/count failed', { err: error });
+    res.status(500).json({ error: 'Failed to correct count' });
+  }
+});
+
+// 🔢 Register a named counter: { "name": "launch-week", "reason": "..." }.
+// 201 when created, 200 if it already exists.
+app.post('/api/admin/counters', limiters.api, adminAuth, async (req, res) => {
+  const name = req.body?.name;
+  if (!isValidCounterName(name)) {
+    return res.status(400).json({ error: 'Invalid counter name (1-32 chars: a-z, 0-9, - and _)' });
+  }
+  const reason = parseReason(req.body?.reason);
+
+  try {
+    const result = await enqueueTransaction(async () => {
+      const { created, error } = await counters.create(name);
+      if (error) return { error };
+      if (created) {
+        await store.set(0, name);
+        await recordAudit(db, { action: 'counter.create', reason, details: { name }, requestId: req.id });
+      }
+      return { created };
+    });
+
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (result.created) req.log.info('Counter created by admin', { name, reason });
+    res.status(result.created ? 201 : 200).json({ name, created: result.created, count: await getCurrentCount(name) });
+  } catch (error) {
+    req.log.error('POST /api/admin/counters failed', { err: error });
+    res.status(500).json({ error: 'Failed to create counter' });
+  }
+});
+
+// 💾 Write the pending batch now (what the periodic sync does)
+app.post('/api/admin/flush', limiters.api, adminAuth, async (req, res) => {
+  const reason = parseReason(req.body?.reason);
+  const before = { increments: pendingWrites.length, clicks: pendingClicks };
+
+  try {
+    const written = await flushBatch();
+    const after = { increments: pendingWrites.length, clicks: pendingClicks };
+    await enqueueTransaction(() => recordAudit(db, { action: 'flush', reason, details: { written, before, after }, requestId: req.id }));
+    req.log.info('Batch flushed by admin', { written, before, after });
+    res.status(written ? 200 : 500).json({ written, before, after });
+  } catch (error) {
+    req.log.error('POST /api/admin/flush failed', { err: error });
+    res.status(500).json({ error: 'Failed to flush' });
+  }
+});
+
+// 📦 Increments waiting for the next flush (oldest first)
+app.get('/api/admin/pending', limiters.api, adminAuth, (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > ADMIN_PENDING_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be 1-${ADMIN_PENDING_MAX_LIMIT}` });
+  }
+
+  res.json({
+    increments: pendingWrites.length,
+    clicks: pendingClicks,
+    by_counter: Object.fromEntries(pendingByCounter()),
+    oldest: pendingWrites.length > 0 ? new Date(pendingWrites[0].at).toISOString() : null,
+    entries: pendingWrites.slice(0, limit).map(({ seq, delta, counter, deviceId, country, source, at }) => ({
+      seq, delta, counter, device_id: deviceId, country, source, at: new Date(at).toISOString()
+    }))
+  });
+});
+
+// 🗺️ Cache backend status, and each counter's cached value against what is
+// saved plus pending (drift != 0 means the cache and SQLite disagree)
+app.get('/api/admin/cache', limiters.api, adminAuth, async (req, res) => {
+  try {
+    const saved = await loadSavedTotals(db);
+    const pending = pendingByCounter();
+    const list = await Promise.all(counters.list().map(async (name) => {
+      const cached = await getCurrentCount(name);
+      const expected = (saved.get(name) || 0) + (pending.get(name) || 0);
+      return { name, cached, saved: saved.get(name) || 0, pending: pending.get(name) || 0, drift: cached - expected };
+    }));
+    res.json({
+      type: store.type,
+      healthy: store.healthy(),
+      source: countSource(),
+      fallback_clicks: store.fallbackClicks ? store.fallbackClicks() : 0,
+      counters: list
+    });
+  } catch (error) {
+    req.log.error('GET /api/admin/cache failed', { err: error });
+    res.status(500).json({ error: 'Failed to get cache status' });
+  }
+});
+
+// 🚧 { "enabled": true, "message": "...", "reason": "..." } pauses clicks on this instance
+app.post('/api/admin/maintenance', limiters.api, adminAuth, async (req, res) => {
+  const { enabled, message } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Expected { "enabled": true|false }' });
+  }
+  if (message !== undefined && !parseReason(message)) {
+    return res.status(400).json({ error: `message must be 1-${MAX_REASON_LENGTH} chars` });
+  }
+  const reason = parseReason(req.body.reason);
+
+  const next = enabled
+    ? { message: parseReason(message) || 'Down for maintenance, back soon! 🦎', since: new Date().toISOString() }
+    : null;
+
+  try {
+    await enqueueTransaction(() => recordAudit(db, {
+      action: enabled ? 'maintenance.on' : 'maintenance.off', reason, details: next, requestId: req.id
+    }));
+    maintenance = next;
+    req.log.warn(`Maintenance mode ${enabled ? 'enabled' : 'disabled'}`, { reason });
+    res.json({ enabled, ...maintenance });
+  } catch (error) {
+    req.log.error('POST /api/admin/maintenance failed', { err: error });
+    res.status(500).json({ error: 'Failed to record maintenance change' });
+  }
+});
+
+// 🛟 Take a verified backup now (same rotation as the scheduled ones)
+app.post('/api/admin/backup', limiters.api, adminAuth, async (req, res) => {
+  if (!backups) {
+    return res.status(409).json({ error: 'Backups are disabled (BACKUP_HOURLY and BACKUP_DAILY are both 0)' });
+  }
+  const reason = parseReason(req.body?.reason);
+
+  try {
+    const { file, bytes, daily, removed } = await backups.backupNow();
+    await enqueueTransaction(() => recordAudit(db, { action: 'backup', reason, details: { file, bytes }, requestId: req.id }));
+    res.json({ file, bytes, daily, removed });
+  } catch (error) {
+    req.log.error('POST /api/admin/backup failed', { err: error });
+    res.status(500).json({ error: 'Backup failed' });
+  }
+});
+
+// 📤 Click history as CSV or NDJSON (load it elsewhere with backend/import.js)
+app.get('/api/admin/export', limiters.api, adminAuth, async (req, res) => {
+  const query = parseExportQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.set({
+    'Content-Type': query.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="lizard-loop-${stamp}.${query.format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    const records = await streamExport(db, res, query);
+    req.log.info('Click history exported', { records, format: query.format });
+    res.end();
+  } catch (error) {
+    req.log.error('GET /api/admin/export failed', { err: error });
+    // Headers (and maybe rows) are already out: cut the response short
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ error: 'Failed to export' });
+  }
+});
+
+// 📜 Recent admin actions, newest first
+app.get('/api/admin/audit', limiters.api, adminAuth, async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > ADMIN_AUDIT_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be 1-${ADMIN_AUDIT_MAX_LIMIT}` });
+  }
+
+  try {
+    res.json({ entries: await listAudit(db, limit) });
+  } catch (error) {
+    req.log.error('GET /api/admin/audit failed', { err: error });
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
 // Serve main app
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -304,41 +1166,113 @@ app.get('/', (req, res) => {
 // SERVER START
 // ============================================================================
 
-app.listen(PORT, () => {
-  console.log(`🦎 Lizard Loop server running on port ${PORT}`);
-  console.log(`🗺️ Cache: ${cacheType.toUpperCase()} (${isCacheAvailable ? 'ENABLED' : 'DISABLED'})`);
-  console.log(`📊 Current count: ${counter.get('lizard:count') || 0}`);
-  console.log(`🔒 Rate limiting: ENABLED`);
-  console.log(`📦 Batch writes: ENABLED (size: ${BATCH_SIZE})`);
-  console.log(`📱 App: http://localhost:${PORT}`);
-});
+// Listens once initializeDatabase is done
+const server = http.createServer(app);
+
+function startServer() {
+  server.listen(PORT, async () => {
+    logger.info('Lizard Loop server running', {
+      port: PORT,
+      app: `http://localhost:${PORT}`,
+      cache: store.type,
+      cacheStatus: store.healthy() ? 'connected' : 'fallback',
+      count: await getCurrentCount(),
+      batchSize: BATCH_SIZE,
+      stream: '/api/clicks/stream',
+      websocket: clickSocket ? '/api/clicks/ws' : null,
+      metrics: config.metricsEnabled ? '/metrics' : null
+    });
+  });
+}
+
+// 🔌 WebSocket click channel (set WS_ENABLED=false to disable)
+const clickSocket = !config.wsEnabled
+  ? null
+  : attachClickSocket(server, {
+    path: '/api/clicks/ws',
+    maxDelta: config.wsMaxDelta,
+    maxClicksPerSecond: config.wsMaxClicksPerSecond,
+    maxConnectionsPerClient: config.wsMaxConnectionsPerIp,
+    clientOf: req => clientIp(req, TRUSTED_PROXY_HOPS),
+    verify: async (req) => {
+      if (maintenance) return false;
+      if (!CLICK_TOKENS_ENABLED) return true;
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      const result = await clickTokens.redeem(query.get('token'), query.get('nonce') || '');
+      return result.ok;
+    },
+    identify: (req) => ({
+      deviceId: identifyRequest(req, deviceSecret),
+      country: geo.countryOf(req),
+      client: clientIp(req, TRUSTED_PROXY_HOPS),
+      headers: req.headers
+    }),
+    // Same per-IP click budget as POST /api/clicks
+    budget: async (tags, delta) => {
+      if (await clickBudget.take(tags.client, delta)) return true;
+      rateLimitRejections.inc({ policy: 'click_budget' });
+      return false;
+    },
+    onClicks: async (delta, tags) => {
+      if (maintenance) throw new Error('Maintenance mode: clicks are paused');
+      if (delta === 0) return getCurrentCount();
+      if (!countsClicks(tags.client, delta, tags.headers)) return await getCurrentCount() + delta;
+      addToBatch(delta, DEFAULT_COUNTER, tags);
+      return incrementCount(delta);
+    }
+  });
 
 // ============================================================================
 // GRACEFUL SHUTDOWN
 // ============================================================================
 
 
-process.on('SIGINT', async () => {
-  console.log('\n🔄 Final database sync...');
+// SIGINT (Ctrl+C) and SIGTERM (docker stop): stop accepting connections, let
+// in-flight requests finish, flush the batch and close everything. Whatever
+// can't be flushed before SHUTDOWN_TIMEOUT_MS stays in the journal.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out, unsaved clicks left in the journal', { timeoutMs: config.shutdownTimeoutMs, clicks: pendingClicks });
+    process.exit(1);
+  }, config.shutdownTimeoutMs);
+  forceExit.unref();
+
+  clearInterval(syncTimer);
+  countStream.close();
+  if (clickSocket) clickSocket.close();
+  await new Promise(resolve => server.close(resolve));
+
+  let exitCode = 0;
   try {
-    const currentCount = await getCurrentCount();
-    db.run('INSERT INTO clicks (count) VALUES (?)', [currentCount], (err) => {
-      if (err) {
-        console.error('Final sync error:', err.message);
-      } else {
-        console.log(`✅ Final count ${currentCount} saved to database`);
-      }
-      db.close();
-      // redis.disconnect(); // Redis implementation (commented)
-      process.exit(0);
-    });
+    await flushBatch();
+    if (pendingClicks > 0) {
+      logger.error('Final sync error, unsaved clicks kept in the journal', { clicks: pendingClicks });
+      exitCode = 1;
+    } else {
+      logger.info('Final count saved to database', { count: await getCurrentCount() });
+    }
   } catch (error) {
-    console.error('Final sync failed:', error.message);
-    db.close();
-    // redis.disconnect(); // Redis implementation (commented)
-    process.exit(1);
+    logger.error('Final sync failed', { err: error });
+    exitCode = 1;
   }
-});
+
+  if (backups) await backups.stop();
+  journal.close();
+  await new Promise(resolve => db.close(resolve));
+  removePidFile(config.databasePath);
+  await store.close();
+  closeLogger();
+  process.exit(exitCode);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Periodic sync
-setInterval(syncToDatabase, 30000);
\ No newline at end of file
+const syncTimer = setInterval(syncToDatabase, config.syncIntervalMs);
\ No newline at end of file
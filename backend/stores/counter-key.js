@@ -0,0 +1,10 @@
+// Cache key for a named counter. The default counter keeps the original
+// 'lizard:count' key so existing caches stay valid.
+
+const DEFAULT_COUNTER = 'default';
+
+function counterKey(name = DEFAULT_COUNTER) {
+  return name === DEFAULT_COUNTER ? 'lizard:count' : `lizard:count:${name}`;
+}
+
+module.exports = { DEFAULT_COUNTER, counterKey };
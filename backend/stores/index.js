@@ -0,0 +1,52 @@
+// ============================================================================
+// COUNTER STORES
+// ============================================================================
+//
+// Every backend exposes the same interface so server.js never has to know
+// which cache is active:
+//
+//   type        'map' | 'redis' | 'memcached'
+//   get(name)   current count of a named counter ('default' when omitted)
+//   increment(delta = 1, name)
+//               atomically add clicks (negative for admin corrections),
+//               resolves to the new count
+//   set(value, name)
+//               seed the counter (used by loadInitialCount)
+//   addKey(key, value, ttlSeconds)
+//               store a string only if the key is absent, resolves to true if stored
+//   getKey(key) string value, or null when missing/expired
+//   setKey(key, value, ttlSeconds), deleteKey(key)
+//               plain writes; used for short-lived state like idempotency keys
+//   incrementKey(key, delta, ttlSeconds)
+//               integer key starting at 0 with a TTL, resolves to the new value
+//               (rate-limit windows)
+//   healthy()   true while the backend itself (not the fallback) is serving
+//   close()     release connections on shutdown
+//
+// Optional, Redis only: incrementRank / seedRanks / topRanks (sorted sets for
+// leaderboards). Callers check for them and use SQLite otherwise. Also
+// fallbackClicks(): clicks counted during an outage, not yet added to Redis.
+//
+// Redis and Memcached are optional dependencies, so they are only required
+// when selected. `options` carries their connection settings from the config:
+// { redis: { host, port, password, onRecover }, memcached: { servers, reseed } },
+// where onRecover() is called whenever Redis serves again after an outage
+// (the sorted sets missed the clicks in between), and reseed(name) resolves
+// to the count to restore when Memcached loses a key.
+
+const BACKENDS = ['map', 'redis', 'memcached'];
+
+function createCounterStore(backend = 'map', options = {}) {
+  switch (backend) {
+    case 'map':
+      return require('./map-store').createMapStore();
+    case 'redis':
+      return require('./redis-store').createRedisStore(options.redis);
+    case 'memcached':
+      return require('./memcached-store').createMemcachedStore(options.memcached);
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+}
+
+module.exports = { createCounterStore, BACKENDS };
@@ -0,0 +1,58 @@
+// 🗺️ NODE.JS MAP: in-process counter (fastest, single instance only)
+
+const { createMemoryKeys } = require('./memory-keys');
+const { DEFAULT_COUNTER, counterKey } = require('./counter-key');
+
+function createMapStore() {
+  const counter = new Map();
+  counter.set(counterKey(DEFAULT_COUNTER), 0);
+  const keys = createMemoryKeys();
+
+  return {
+    type: 'map',
+
+    async get(name = DEFAULT_COUNTER) {
+      return counter.get(counterKey(name)) || 0;
+    },
+
+    async increment(delta = 1, name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      const current = counter.get(key) || 0;
+      counter.set(key, current + delta);
+      return current + delta;
+    },
+
+    async set(value, name = DEFAULT_COUNTER) {
+      counter.set(counterKey(name), value);
+    },
+
+    async addKey(key, value, ttlSeconds) {
+      return keys.add(key, value, ttlSeconds);
+    },
+
+    async getKey(key) {
+      return keys.get(key);
+    },
+
+    async setKey(key, value, ttlSeconds) {
+      keys.set(key, value, ttlSeconds);
+    },
+
+    async incrementKey(key, delta, ttlSeconds) {
+      return keys.increment(key, delta, ttlSeconds);
+    },
+
+    async deleteKey(key) {
+      keys.delete(key);
+    },
+
+    // Always true for Map implementation
+    healthy() {
+      return true;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMapStore };
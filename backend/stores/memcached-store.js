@@ -0,0 +1,282 @@
+// 🟡 MEMCACHED: shared counter for multi-instance deployments, with in-memory fallback
+//
+// Memcached can drop a counter at any time (eviction, restart), and incr/decr
+// on a missing key just reports NOT_FOUND. When that happens the key is
+// reseeded from `reseed(name)`, the count this instance knows of (saved in
+// SQLite plus its unflushed clicks, including the one being counted; see
+// server.js), with `add`: if another instance re-added the key first, its
+// value is kept and the click is applied on top with incr. Clicks other
+// instances haven't flushed yet are in neither seed, so a reseeded counter can
+// trail by those.
+//
+// After a failure the store serves from memory and probes Memcached every
+// PROBE_INTERVAL; once it answers, the clicks counted meanwhile are added with
+// incr (or the key is reseeded, if it is gone) before it reports healthy.
+// Memcached can't make that incr idempotent: a click whose reply was lost to
+// the outage may be counted twice in the cache (never in SQLite).
+
+const Memcached = require('memcached');
+const { createMemoryKeys } = require('./memory-keys');
+const { DEFAULT_COUNTER, counterKey } = require('./counter-key');
+const { logger } = require('../logger');
+
+const PROBE_INTERVAL = 5000;
+const COMMAND_TIMEOUT = 1000;
+
+// Fail fast while a server is down (the defaults retry a connection for about
+// two minutes, holding every click), and retry it at the probe interval
+const CLIENT_OPTIONS = {
+  timeout: COMMAND_TIMEOUT,
+  retries: 1,
+  minTimeout: 250,
+  maxTimeout: COMMAND_TIMEOUT,
+  retry: PROBE_INTERVAL
+};
+
+// No way to rebuild a lost counter: serve it from memory until set() again
+const noReseed = async () => {
+  throw new Error('No reseed source configured');
+};
+
+function createMemcachedStore({ servers = ['localhost:11211'], reseed = noReseed } = {}) {
+  const memcached = new Memcached(servers, CLIENT_OPTIONS);
+
+  // Fallback counters (cache key -> count, mirroring Memcached while it is up) and keys
+  const fallbackCounters = new Map();
+  const fallbackKeys = createMemoryKeys();
+  const fallbackDeltas = new Map(); // cache key -> { name, delta } counted while Memcached was down
+  let isMemcachedAvailable = false;
+  let probeTimer = null;
+
+  // Callback API -> promise resolving to { err, result }. A command caught by
+  // a dropped connection never calls back, so each one gets a deadline.
+  const call = (method, ...args) => new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ err: new Error(`Memcached ${method} timed out`) }), COMMAND_TIMEOUT);
+    memcached[method](...args, (err, result) => {
+      clearTimeout(timer);
+      resolve({ err, result });
+    });
+  });
+
+  function markUnavailable() {
+    isMemcachedAvailable = false;
+    if (!probeTimer) {
+      probeTimer = setInterval(probe, PROBE_INTERVAL);
+      probeTimer.unref();
+    }
+  }
+
+  function markAvailable() {
+    isMemcachedAvailable = true;
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+
+  // Re-add a missing counter with the count `name` should hold. Resolves to
+  // { count, added } (added = false: another instance re-added it first and
+  // its value is kept), or null if Memcached or the reseed source failed.
+  async function restore(name, key) {
+    let seed;
+    try {
+      seed = await reseed(name);
+    } catch (err) {
+      logger.error('Memcached counter missing and could not be reseeded', { key, err });
+      return null;
+    }
+    const { err } = await call('add', key, seed, 0);
+    if (!err) {
+      logger.warn('Memcached counter was missing, reseeded', { key, count: seed });
+      return { count: seed, added: true };
+    }
+    if (!err.notStored) return null;
+    const { err: getErr, result } = await call('get', key);
+    return getErr ? null : { count: parseInt(result) || 0, added: false };
+  }
+
+  // incr/decr, reseeding a missing key. Resolves to the new count, or null on failure.
+  async function apply(name, key, delta, retried = false) {
+    const { err, result } = delta < 0
+      ? await call('decr', key, -delta)
+      : await call('incr', key, delta);
+    if (err) return null;
+    if (result !== false) return result;
+
+    const restored = await restore(name, key);
+    if (!restored) return null;
+    // Our seed already includes these clicks (they are pending for SQLite);
+    // another instance's doesn't
+    if (restored.added) return restored.count;
+    return retried ? null : apply(name, key, delta, true);
+  }
+
+  // Memcached answers again: add what was counted in memory, then serve from it
+  let probing = false;
+  async function probe() {
+    if (probing) return;
+    probing = true;
+    try {
+      const { err } = await call('version');
+      if (err) return;
+
+      while (fallbackDeltas.size > 0) {
+        const [key, { name, delta }] = fallbackDeltas.entries().next().value;
+        fallbackDeltas.delete(key);
+        const count = await apply(name, key, delta);
+        if (count === null) {
+          // Still failing: put the clicks back (with any counted meanwhile) and keep probing
+          const meanwhile = fallbackDeltas.get(key);
+          fallbackDeltas.set(key, { name, delta: delta + (meanwhile ? meanwhile.delta : 0) });
+          return;
+        }
+        logger.info('Fallback clicks applied to Memcached', { key, delta, count });
+      }
+      logger.info('Memcached available again');
+      markAvailable();
+    } finally {
+      probing = false;
+    }
+  }
+
+  // Memcached connection handling
+  memcached.on('failure', (details) => {
+    logger.error('Memcached connection error', { details });
+    markUnavailable();
+  });
+
+  memcached.on('reconnecting', (details) => {
+    logger.warn('Memcached reconnecting', { details });
+  });
+
+  memcached.on('issue', (details) => {
+    logger.warn('Memcached issue', { details });
+  });
+
+  return {
+    type: 'memcached',
+
+    async get(name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      if (isMemcachedAvailable) {
+        const { err, result } = await call('get', key);
+        const missing = !err && (result === undefined || result === false);
+        const restored = missing ? await restore(name, key) : null;
+        if (!err && (!missing || restored)) {
+          const count = missing ? restored.count : parseInt(result) || 0;
+          fallbackCounters.set(key, count);
+          return count;
+        }
+        markUnavailable();
+      }
+      return fallbackCounters.get(key) || 0;
+    },
+
+    async increment(delta = 1, name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      if (isMemcachedAvailable) {
+        const count = await apply(name, key, delta);
+        if (count !== null) {
+          fallbackCounters.set(key, count);
+          return count;
+        }
+        markUnavailable();
+      }
+      const count = (fallbackCounters.get(key) || 0) + delta;
+      fallbackCounters.set(key, count);
+      const pending = fallbackDeltas.get(key) || { name, delta: 0 };
+      fallbackDeltas.set(key, { name, delta: pending.delta + delta });
+      return count;
+    },
+
+    async set(value, name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      fallbackCounters.set(key, value);
+      fallbackDeltas.delete(key); // the seed already counts them
+      const { err } = await call('set', key, value, 0);
+      if (err) {
+        logger.warn('Memcached not available, using fallback counter', { key, err });
+        markUnavailable();
+      } else {
+        logger.info('Memcached counter initialized', { key, count: value });
+        if (fallbackDeltas.size === 0) markAvailable();
+      }
+    },
+
+    // Clicks counted in fallback mode that Memcached doesn't have yet (0 when in sync)
+    fallbackClicks() {
+      let clicks = 0;
+      fallbackDeltas.forEach(({ delta }) => {
+        clicks += delta;
+      });
+      return clicks;
+    },
+
+    async addKey(key, value, ttlSeconds) {
+      if (!isMemcachedAvailable) return fallbackKeys.add(key, value, ttlSeconds);
+
+      const { err } = await call('add', key, value, ttlSeconds);
+      if (err && err.notStored) return false; // key already exists
+      if (err) {
+        markUnavailable();
+        return fallbackKeys.add(key, value, ttlSeconds);
+      }
+      return true;
+    },
+
+    async getKey(key) {
+      if (!isMemcachedAvailable) return fallbackKeys.get(key);
+
+      const { err, result } = await call('get', key);
+      if (err) {
+        markUnavailable();
+        return fallbackKeys.get(key);
+      }
+      return result === undefined || result === false ? null : result;
+    },
+
+    async setKey(key, value, ttlSeconds) {
+      if (!isMemcachedAvailable) return fallbackKeys.set(key, value, ttlSeconds);
+
+      const { err } = await call('set', key, value, ttlSeconds);
+      if (err) {
+        markUnavailable();
+        fallbackKeys.set(key, value, ttlSeconds);
+      }
+    },
+
+    // add (no-op if the key exists) then incr/decr; decr stops at 0
+    async incrementKey(key, delta, ttlSeconds) {
+      if (!isMemcachedAvailable) return fallbackKeys.increment(key, delta, ttlSeconds);
+
+      const { err: addErr } = await call('add', key, 0, ttlSeconds);
+      const { err, result } = addErr && !addErr.notStored
+        ? { err: addErr }
+        : await call(delta < 0 ? 'decr' : 'incr', key, Math.abs(delta));
+      if (err) {
+        markUnavailable();
+        return fallbackKeys.increment(key, delta, ttlSeconds);
+      }
+      return result === false ? Math.max(delta, 0) : result; // evicted in between
+    },
+
+    async deleteKey(key) {
+      if (!isMemcachedAvailable) return fallbackKeys.delete(key);
+
+      const { err } = await call('del', key);
+      if (err) {
+        markUnavailable();
+        fallbackKeys.delete(key);
+      }
+    },
+
+    healthy() {
+      return isMemcachedAvailable;
+    },
+
+    async close() {
+      clearInterval(probeTimer);
+      memcached.end();
+    }
+  };
+}
+
+module.exports = { createMemcachedStore };
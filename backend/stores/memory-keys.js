@@ -0,0 +1,61 @@
+// In-process key/value entries with a TTL. Backs the Map store's keys, and the
+// Redis/Memcached stores' keys while their backend is unavailable.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+function createMemoryKeys() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Drop expired entries that were never read again
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+
+  return {
+    add(key, value, ttlSeconds) {
+      if (live(key)) return false;
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return true;
+    },
+
+    get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+
+    // Integer value; a missing or expired key starts at 0 with a new TTL
+    increment(key, delta, ttlSeconds) {
+      const entry = live(key);
+      if (entry) {
+        entry.value += delta;
+        return entry.value;
+      }
+      entries.set(key, { value: delta, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return delta;
+    },
+
+    delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+module.exports = { createMemoryKeys };
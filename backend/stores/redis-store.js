@@ -0,0 +1,300 @@
+// 🔴 REDIS: shared counter for multi-instance deployments, with in-memory fallback
+//
+// While Redis is down, clicks are counted in memory from the last value Redis
+// returned, and the clicks taken in fallback mode are tracked per key. When
+// Redis is ready again they are applied with INCRBY before the store reports
+// healthy, so an outage loses nothing. Each reconciliation batch carries an id
+// and a marker key set in the same script as the INCRBY: a batch whose reply
+// was lost (the connection dropped again) is retried without counting twice.
+// Counters seeded while Redis was down are written with SET NX first, so a
+// value another instance kept live wins.
+//
+// Short-lived keys (idempotency, rate limits) are not reconciled; their
+// fallback copies expire on their own. Neither are leaderboard sorted sets:
+// `onRecover()` is called every time the store serves from Redis again (and
+// on the first connect) so the caller can reseed them.
+
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { createMemoryKeys } = require('./memory-keys');
+const { DEFAULT_COUNTER, counterKey } = require('./counter-key');
+const { logger } = require('../logger');
+
+const RECONCILE_MARKER_TTL = 24 * 60 * 60; // seconds a batch id is remembered
+
+// KEYS[1] counter, KEYS[2] batch marker; ARGV[1] delta, ARGV[2] marker TTL.
+// Returns { applied (1/0), count }
+const RECONCILE_SCRIPT = `
+if redis.call('SET', KEYS[2], '1', 'NX', 'EX', ARGV[2]) then
+  return { 1, redis.call('INCRBY', KEYS[1], ARGV[1]) }
+end
+return { 0, tonumber(redis.call('GET', KEYS[1]) or '0') }
+`;
+
+function createRedisStore({ host = 'localhost', port = 6379, password, onRecover = () => {} } = {}) {
+  const redis = new Redis({
+    host,
+    port,
+    password: password || undefined,
+    retryDelayOnFailover: 100,
+    maxRetriesPerRequest: 3,
+    lazyConnect: true
+  });
+  redis.defineCommand('reconcileIncrby', { numberOfKeys: 2, lua: RECONCILE_SCRIPT });
+
+  // Fallback counters (cache key -> count, mirroring Redis while it is up) and keys
+  const fallbackCounters = new Map();
+  const fallbackKeys = createMemoryKeys();
+  let isRedisAvailable = false;
+
+  // What fallback mode owes Redis
+  const instanceId = crypto.randomUUID();
+  const fallbackDeltas = new Map(); // cache key -> clicks counted while Redis was down
+  const fallbackSeeds = new Map(); // cache key -> value set() while Redis was down
+  const unreconciled = []; // [{ id, key, delta }] batches not yet confirmed by Redis
+  let batchSeq = 0;
+  let reconciling = null;
+
+  async function applyFallback() {
+    while (fallbackSeeds.size > 0 || fallbackDeltas.size > 0 || unreconciled.length > 0) {
+      for (const [key, value] of fallbackSeeds) {
+        const seeded = await redis.set(key, value, 'NX') === 'OK';
+        fallbackSeeds.delete(key);
+        logger.info(seeded ? 'Redis counter seeded after outage' : 'Redis counter kept its live value', { key, count: value });
+      }
+
+      for (const [key, delta] of fallbackDeltas) {
+        if (delta !== 0) unreconciled.push({ id: `${instanceId}:${++batchSeq}`, key, delta });
+      }
+      fallbackDeltas.clear();
+      if (unreconciled.length > 0) {
+        logger.info('Reconciling fallback clicks with Redis', {
+          batches: unreconciled.length,
+          clicks: unreconciled.reduce((sum, batch) => sum + batch.delta, 0)
+        });
+      }
+
+      while (unreconciled.length > 0) {
+        const { id, key, delta } = unreconciled[0];
+        const [applied, count] = await redis.reconcileIncrby(key, `lizard:reconcile:${id}`, delta, RECONCILE_MARKER_TTL);
+        unreconciled.shift();
+        fallbackCounters.set(key, count);
+        logger.info(applied ? 'Fallback clicks applied to Redis' : 'Fallback clicks were already applied, skipped', {
+          key, delta, count, batch: id
+        });
+      }
+    }
+  }
+
+  // Serve from Redis again once it has everything counted in fallback mode.
+  // Failed batches stay queued (same ids) for the next reconnect.
+  function reconcile() {
+    if (!reconciling) {
+      reconciling = applyFallback()
+        .then(() => {
+          const wasAvailable = isRedisAvailable;
+          isRedisAvailable = redis.status === 'ready';
+          if (isRedisAvailable && !wasAvailable) onRecover();
+        })
+        .catch((err) => {
+          logger.error('Redis reconciliation failed, staying on the fallback counter', { err, pending: unreconciled.length });
+        })
+        .finally(() => {
+          reconciling = null;
+        });
+    }
+    return reconciling;
+  }
+
+  // Redis connection handling ('ready' fires after every reconnect)
+  redis.on('ready', () => {
+    logger.info('Connected to Redis');
+    reconcile();
+  });
+
+  redis.on('error', (err) => {
+    logger.error('Redis connection error', { err });
+    isRedisAvailable = false;
+  });
+
+  redis.on('close', () => {
+    logger.warn('Redis connection closed');
+    isRedisAvailable = false;
+  });
+
+  return {
+    type: 'redis',
+
+    async get(name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      if (isRedisAvailable) {
+        try {
+          const count = parseInt(await redis.get(key)) || 0;
+          fallbackCounters.set(key, count);
+          return count;
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      return fallbackCounters.get(key) || 0;
+    },
+
+    async increment(delta = 1, name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      if (isRedisAvailable) {
+        try {
+          const count = await redis.incrby(key, delta);
+          fallbackCounters.set(key, count);
+          return count;
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      const count = (fallbackCounters.get(key) || 0) + delta;
+      fallbackCounters.set(key, count);
+      fallbackDeltas.set(key, (fallbackDeltas.get(key) || 0) + delta);
+      return count;
+    },
+
+    async set(value, name = DEFAULT_COUNTER) {
+      const key = counterKey(name);
+      fallbackCounters.set(key, value);
+      try {
+        await redis.set(key, value);
+        fallbackSeeds.delete(key);
+        logger.info('Redis counter initialized', { key, count: value });
+        await reconcile();
+      } catch (redisErr) {
+        logger.warn('Redis not available, using fallback counter', { key, err: redisErr });
+        fallbackSeeds.set(key, value);
+        isRedisAvailable = false;
+      }
+    },
+
+    // Clicks counted in fallback mode that Redis doesn't have yet (0 when in sync)
+    fallbackClicks() {
+      let clicks = unreconciled.reduce((sum, batch) => sum + batch.delta, 0);
+      fallbackDeltas.forEach((delta) => {
+        clicks += delta;
+      });
+      return clicks;
+    },
+
+    async addKey(key, value, ttlSeconds) {
+      if (isRedisAvailable) {
+        try {
+          return await redis.set(key, value, 'EX', ttlSeconds, 'NX') === 'OK';
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      return fallbackKeys.add(key, value, ttlSeconds);
+    },
+
+    async getKey(key) {
+      if (isRedisAvailable) {
+        try {
+          return await redis.get(key);
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      return fallbackKeys.get(key);
+    },
+
+    async setKey(key, value, ttlSeconds) {
+      if (isRedisAvailable) {
+        try {
+          await redis.set(key, value, 'EX', ttlSeconds);
+          return;
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      fallbackKeys.set(key, value, ttlSeconds);
+    },
+
+    // SET NX EX + INCRBY in one MULTI: the TTL is set once, by whoever creates the key
+    async incrementKey(key, delta, ttlSeconds) {
+      if (isRedisAvailable) {
+        try {
+          const results = await redis.multi()
+            .set(key, 0, 'EX', ttlSeconds, 'NX')
+            .incrby(key, delta)
+            .exec();
+          return results[1][1];
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      return fallbackKeys.increment(key, delta, ttlSeconds);
+    },
+
+    async deleteKey(key) {
+      if (isRedisAvailable) {
+        try {
+          await redis.del(key);
+          return;
+        } catch (error) {
+          isRedisAvailable = false;
+        }
+      }
+      fallbackKeys.delete(key);
+    },
+
+    // Sorted sets for leaderboards (Redis only; see backend/leaderboard.js)
+    async incrementRank(key, member, delta, ttlSeconds) {
+      if (!isRedisAvailable) return false;
+      try {
+        const pipeline = redis.pipeline().zincrby(key, delta, member);
+        if (ttlSeconds) pipeline.expire(key, ttlSeconds);
+        await pipeline.exec();
+        return true;
+      } catch (error) {
+        isRedisAvailable = false;
+        return false;
+      }
+    },
+
+    // Raise scores to at least the given values (never lowers a live score)
+    async seedRanks(key, entries, ttlSeconds) {
+      if (!isRedisAvailable || entries.length === 0) return false;
+      try {
+        const args = entries.flatMap(({ member, score }) => [score, member]);
+        const pipeline = redis.pipeline().zadd(key, 'GT', ...args);
+        if (ttlSeconds) pipeline.expire(key, ttlSeconds);
+        await pipeline.exec();
+        return true;
+      } catch (error) {
+        isRedisAvailable = false;
+        return false;
+      }
+    },
+
+    // Highest scores first: [{ member, score }], or null if Redis is down
+    async topRanks(key, limit) {
+      if (!isRedisAvailable) return null;
+      try {
+        const flat = await redis.zrevrange(key, 0, limit - 1, 'WITHSCORES');
+        const ranks = [];
+        for (let i = 0; i < flat.length; i += 2) {
+          ranks.push({ member: flat[i], score: parseInt(flat[i + 1], 10) });
+        }
+        return ranks;
+      } catch (error) {
+        isRedisAvailable = false;
+        return null;
+      }
+    },
+
+    healthy() {
+      return isRedisAvailable;
+    },
+
+    async close() {
+      redis.disconnect();
+    }
+  };
+}
+
+module.exports = { createRedisStore, RECONCILE_SCRIPT };
@@ -0,0 +1,14 @@
+#!/bin/sh
+# Runs as root: directories Docker creates on the host for the bind mounts in
+# docker-compose.yml belong to root, so hand them (and the database file) to
+# the lizard user, then start the server as lizard.
+set -e
+
+if [ "$(id -u)" = "0" ]; then
+  mkdir -p data logs backups
+  chown lizard:nodejs data logs backups
+  if [ -f clicks.db ]; then chown lizard:nodejs clicks.db; fi
+  exec su-exec lizard "$@"
+fi
+
+exec "$@"
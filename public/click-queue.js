@@ -0,0 +1,164 @@
+// Offline click queue, shared by index.html and sw.js (importScripts)
+//
+// Clicks that could not reach the server are stored in IndexedDB, one entry
+// per batch, and replayed later by Background Sync or the page's `online`
+// event. Each entry keeps the Idempotency-Key of its first attempt, so a
+// replay of a request that actually got through is not counted twice.
+//
+// When the server requires click tokens (428 on a click), every send first
+// gets a fresh one from /api/clicks/token and solves its proof of work.
+
+const ClickQueue = (() => {
+  const DB_NAME = 'lizard-loop';
+  const STORE_NAME = 'pending-clicks';
+  const DB_VERSION = 1;
+
+  let replaying = null;
+  let tokensRequired = false;
+
+  function newKey() {
+    if (self.crypto && typeof self.crypto.randomUUID === 'function') {
+      return self.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run one request against the store and resolve with its result
+  async function withStore(mode, action) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = action(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  }
+
+  function enqueue(id, delta) {
+    return withStore('readwrite', store => store.put({ id, delta, createdAt: Date.now() }));
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  async function size() {
+    return withStore('readonly', store => store.count());
+  }
+
+  function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+  }
+
+  async function solveProofOfWork(token, difficulty) {
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const digest = await self.crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${nonce}`));
+      if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) return String(nonce);
+    }
+  }
+
+  // { token, nonce } for one click request or WebSocket connection, or null
+  // when the server doesn't use click tokens
+  async function fetchToken() {
+    const response = await fetch('/api/clicks/token', { method: 'POST' });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Click token: HTTP ${response.status}`);
+
+    const { token, difficulty } = await response.json();
+    const nonce = difficulty > 0 ? await solveProofOfWork(token, difficulty) : '';
+    return { token, nonce };
+  }
+
+  function post(id, delta, clickToken) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': id
+    };
+    if (clickToken) {
+      headers['X-Click-Token'] = clickToken.token;
+      headers['X-Click-Nonce'] = clickToken.nonce;
+    }
+    return fetch('/api/clicks', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ delta })
+    });
+  }
+
+  // Send one batch; resolves with the response, rejects on network failure
+  async function send(id, delta) {
+    let response = await post(id, delta, tokensRequired ? await fetchToken() : null);
+    if (response.status === 428) {
+      tokensRequired = true;
+      response = await post(id, delta, await fetchToken());
+    }
+    return response;
+  }
+
+  // 429 and 5xx (including 503 in maintenance mode) may succeed later, and so
+  // may 409: the same Idempotency-Key is still in progress (a replay racing the
+  // first attempt) and the batch must not be dropped before it is settled.
+  // Other 4xx responses never will
+  function retryable(status) {
+    return status === 409 || status === 429 || status >= 500;
+  }
+
+  // Replay queued batches oldest first. Stops at the first network error or
+  // retryable response and rejects, so Background Sync retries later. Other
+  // 4xx responses are dropped.
+  async function replayQueue() {
+    const entries = await withStore('readonly', store => store.getAll());
+    entries.sort((a, b) => a.createdAt - b.createdAt);
+
+    let lastCount = null;
+    for (const entry of entries) {
+      const response = await send(entry.id, entry.delta);
+      if (retryable(response.status)) {
+        throw new Error(`Replay stopped: HTTP ${response.status}`);
+      }
+      if (response.ok) {
+        lastCount = (await response.json()).count;
+      }
+      await remove(entry.id);
+    }
+    return lastCount;
+  }
+
+  // One replay at a time per context (page or service worker)
+  function replay() {
+    if (!replaying) {
+      replaying = replayQueue().finally(() => {
+        replaying = null;
+      });
+    }
+    return replaying;
+  }
+
+  return { newKey, enqueue, send, replay, size, fetchToken, retryable };
+})();
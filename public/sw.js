@@ -1,7 +1,10 @@
-const CACHE_NAME = 'lizard-loop-v1';
+importScripts('click-queue.js');
+
+const CACHE_NAME = 'lizard-loop-v7';
 const urlsToCache = [
   '/',
   '/index.html',
+  '/click-queue.js',
   '/manifest.json',
   '/assets/lizard.wav'
 ];
@@ -19,7 +22,7 @@ self.addEventListener('install', (event) => {
         // Cache only the essential files if some fail
         return caches.open(CACHE_NAME)
           .then((cache) => {
-            return cache.addAll(['/', '/index.html', '/manifest.json', '/assets/lizard.wav']);
+            return cache.addAll(['/', '/index.html', '/click-queue.js', '/manifest.json', '/assets/lizard.wav']);
           });
       })
   );
@@ -90,11 +93,13 @@ self.addEventListener('activate', (event) => {
 });
 
 // Handle background sync for offline clicks (if supported)
+// A rejected replay makes the browser retry the sync later
 self.addEventListener('sync', (event) => {
   if (event.tag === 'background-sync') {
     event.waitUntil(
-      // Handle any pending clicks or data sync
-      console.log('Background sync triggered')
+      ClickQueue.replay().then((count) => {
+        console.log('Background sync replayed offline clicks, count:', count);
+      })
     );
   }
 });
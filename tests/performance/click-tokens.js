@@ -0,0 +1,23 @@
+/**
+ * Click token helper for the performance scripts
+ * Pass --click-tokens when the server runs with CLICK_TOKENS=true: every
+ * click request then gets its own token (and proof of work) first.
+ */
+
+const axios = require('axios');
+const { solveProofOfWork } = require('../../backend/click-tokens');
+
+const USE_CLICK_TOKENS = process.argv.includes('--click-tokens');
+
+// Headers for one POST /api/clicks ({} without --click-tokens)
+async function clickHeaders(serverUrl) {
+  if (!USE_CLICK_TOKENS) return {};
+
+  const { data } = await axios.post(`${serverUrl}/api/clicks/token`);
+  return {
+    'X-Click-Token': data.token,
+    'X-Click-Nonce': data.difficulty > 0 ? solveProofOfWork(data.token, data.difficulty) : ''
+  };
+}
+
+module.exports = { USE_CLICK_TOKENS, clickHeaders };
@@ -6,12 +6,14 @@
  */
 
 const axios = require('axios');
+const { USE_CLICK_TOKENS, clickHeaders } = require('./click-tokens');
 
 const SERVER_URL = 'http://localhost:3000';
 
 async function testLoadPerformance() {
   console.log('🚀 Starting Load Performance Test');
-  console.log('📊 Testing server performance under high load\n');
+  console.log('📊 Testing server performance under high load');
+  console.log(`🎟️  Click tokens: ${USE_CLICK_TOKENS ? 'ON' : 'OFF'}\n`);
 
   const testScenarios = [
     { name: 'Light Load', requests: 50, duration: 1000 },
@@ -40,7 +42,8 @@ async function testLoadPerformance() {
           new Promise(resolve => {
             setTimeout(async () => {
               try {
-                const response = await axios.post(`${SERVER_URL}/api/clicks`);
+                const headers = await clickHeaders(SERVER_URL);
+                const response = await axios.post(`${SERVER_URL}/api/clicks`, null, { headers });
                 resolve({
                   success: true,
                   count: response.data.count,
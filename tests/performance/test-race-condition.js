@@ -6,15 +6,20 @@
  */
 
 const axios = require('axios');
+const { USE_CLICK_TOKENS, clickHeaders } = require('./click-tokens');
 
 const SERVER_URL = 'http://localhost:3000';
 const CONCURRENT_REQUESTS = 100;
 const TEST_ROUNDS = 3;
+const DUPLICATE_REQUESTS = 20;
+const SEQUENTIAL_RETRIES = 5;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000; // clickLimiter window (backend/rate-limits.js)
 
 async function testRaceCondition() {
   console.log('🧪 Starting Race Condition Test');
   console.log(`📊 Testing ${CONCURRENT_REQUESTS} concurrent requests`);
-  console.log(`🔄 Running ${TEST_ROUNDS} test rounds\n`);
+  console.log(`🔄 Running ${TEST_ROUNDS} test rounds`);
+  console.log(`🎟️  Click tokens: ${USE_CLICK_TOKENS ? 'ON' : 'OFF'}\n`);
 
   for (let round = 1; round <= TEST_ROUNDS; round++) {
     console.log(`\n--- Test Round ${round} ---`);
@@ -31,7 +36,8 @@ async function testRaceCondition() {
 
       for (let i = 0; i < CONCURRENT_REQUESTS; i++) {
         promises.push(
-          axios.post(`${SERVER_URL}/api/clicks`)
+          clickHeaders(SERVER_URL)
+            .then(headers => axios.post(`${SERVER_URL}/api/clicks`, null, { headers }))
             .catch(err => {
               console.error(`❌ Request ${i} failed:`, err.message);
               return null;
@@ -87,12 +93,79 @@ async function testRaceCondition() {
     }
   }
 
+  // The rounds above use up the 200 POSTs/minute clickLimiter, whose windows
+  // are aligned to the clock: wait for the next one so the retries below
+  // aren't all answered 429
+  const nextWindowMs = RATE_LIMIT_WINDOW_MS - (Date.now() % RATE_LIMIT_WINDOW_MS) + 500;
+  console.log(`\n⏳ Waiting ${Math.ceil(nextWindowMs / 1000)}s for a fresh rate limit window...`);
+  await new Promise(resolve => setTimeout(resolve, nextWindowMs));
+
+  await testIdempotentRetries();
+
   console.log(`\n🏁 Race condition test completed!`);
 }
 
+// Duplicate POSTs sharing one Idempotency-Key must add exactly one click
+async function testIdempotentRetries() {
+  console.log(`\n--- Idempotency Round ---`);
+  console.log(`🔁 ${DUPLICATE_REQUESTS} concurrent + ${SEQUENTIAL_RETRIES} sequential requests with the same Idempotency-Key`);
+
+  try {
+    const key = `race-test-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    const initialResponse = await axios.get(`${SERVER_URL}/api/clicks`);
+    const initialCount = initialResponse.data.count;
+    console.log(`📈 Initial count: ${initialCount}`);
+
+    // Each retry carries a fresh click token, like the page does
+    const send = async () => axios.post(`${SERVER_URL}/api/clicks`, null, {
+      headers: { ...await clickHeaders(SERVER_URL), 'Idempotency-Key': key },
+      validateStatus: () => true
+    });
+
+    // Concurrent duplicates: one wins, the rest are replays or 409 (in progress)
+    const concurrent = await Promise.all(
+      Array.from({ length: DUPLICATE_REQUESTS }, () => send().catch(() => null))
+    );
+
+    // Sequential retries after the first one finished: all replays
+    const sequential = [];
+    for (let i = 0; i < SEQUENTIAL_RETRIES; i++) {
+      sequential.push(await send().catch(() => null));
+    }
+
+    const responses = [...concurrent, ...sequential].filter(response => response !== null);
+    const fresh = responses.filter(r => r.status === 200 && !r.headers['idempotent-replayed']);
+    const replayed = responses.filter(r => r.status === 200 && r.headers['idempotent-replayed']);
+    const inProgress = responses.filter(r => r.status === 409);
+    console.log(`✅ Counted: ${fresh.length}, replayed: ${replayed.length}, in progress (409): ${inProgress.length}`);
+
+    if (fresh.length !== 1) {
+      console.log(`❌ Expected exactly one counted request, got ${fresh.length}`);
+    } else if (replayed.every(r => r.data.count === fresh[0].data.count)) {
+      console.log(`✅ Replays returned the original count: ${fresh[0].data.count}`);
+    } else {
+      console.log(`❌ Replays disagree with the original response`);
+    }
+
+    const finalResponse = await axios.get(`${SERVER_URL}/api/clicks`);
+    const actualIncrement = finalResponse.data.count - initialCount;
+    console.log(`📊 Expected increment: 1`);
+    console.log(`📊 Actual increment: ${actualIncrement}`);
+
+    if (actualIncrement === 1) {
+      console.log(`✅ SUCCESS: Duplicates were dropped!`);
+    } else {
+      console.log(`❌ FAILURE: Duplicate requests counted ${actualIncrement} times`);
+    }
+  } catch (error) {
+    console.error(`❌ Idempotency round failed:`, error.message);
+  }
+}
+
 // Run the test
 if (require.main === module) {
   testRaceCondition().catch(console.error);
 }
 
-module.exports = { testRaceCondition };
+module.exports = { testRaceCondition, testIdempotentRetries };
@@ -6,6 +6,7 @@
  */
 
 const axios = require('axios');
+const { USE_CLICK_TOKENS, clickHeaders } = require('./click-tokens');
 
 const SERVER_URL = 'http://localhost:3000';
 const CONCURRENT_REQUESTS = 500;
@@ -13,14 +14,15 @@ const TEST_DURATION = 10000; // 10 seconds
 
 async function testRedisPerformance() {
   console.log('🔴 Starting Redis Performance Test');
-  console.log(`📊 Testing ${CONCURRENT_REQUESTS} concurrent requests over ${TEST_DURATION}ms\n`);
+  console.log(`📊 Testing ${CONCURRENT_REQUESTS} concurrent requests over ${TEST_DURATION}ms`);
+  console.log(`🎟️  Click tokens: ${USE_CLICK_TOKENS ? 'ON' : 'OFF'}\n`);
 
   try {
     // Get initial server info
     const healthResponse = await axios.get(`${SERVER_URL}/api/health`);
     console.log('🏥 Server Health:', {
       status: healthResponse.data.status,
-      redis_status: healthResponse.data.redis_status,
+      cache_status: healthResponse.data.cache_status,
       current_count: healthResponse.data.current_count
     });
 
@@ -39,9 +41,11 @@ async function testRedisPerformance() {
     for (let i = 0; i < CONCURRENT_REQUESTS; i++) {
       promises.push(
         new Promise(async (resolve) => {
+          // Token first, so latency only measures the click itself
+          const headers = await clickHeaders(SERVER_URL).catch(() => ({}));
           const requestStart = Date.now();
           try {
-            const response = await axios.post(`${SERVER_URL}/api/clicks`);
+            const response = await axios.post(`${SERVER_URL}/api/clicks`, null, { headers });
             const requestEnd = Date.now();
             requestTimes.push(requestEnd - requestStart);
             
@@ -142,7 +146,7 @@ async function testRedisPerformance() {
       
       console.log(`\n📊 Final Server Stats:`);
       console.log(`📈 Current count: ${statsResponse.data.current_memory_count}`);
-      console.log(`🔴 Redis available: ${statsResponse.data.redis_available}`);
+      console.log(`🔴 Cache available: ${statsResponse.data.cache_available} (${statsResponse.data.cache_type})`);
       console.log(`📊 Total clicks processed: ${debugResponse.data.total_clicks}`);
       console.log(`🔄 Database records: ${statsResponse.data.database_stats.total_records}`);
       
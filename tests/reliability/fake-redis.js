@@ -0,0 +1,187 @@
+/**
+ * Fake Redis
+ * A tiny RESP server that stands in for Redis in the reliability tests: it
+ * speaks just the commands the Redis store uses (sorted sets included), and
+ * can be stopped and restarted (keeping its data, or wiped) to simulate an
+ * outage.
+ *
+ * Lua is not available, so EVAL only runs the store's reconciliation script,
+ * re-implemented below.
+ */
+
+const net = require('net');
+const { RECONCILE_SCRIPT } = require('../../backend/stores/redis-store');
+
+// One RESP array of bulk strings from `buffer`: { args, rest } or null if incomplete
+function parseCommand(buffer) {
+  const text = buffer.toString('latin1');
+  if (text[0] !== '*') throw new Error(`Unsupported request: ${JSON.stringify(text.slice(0, 20))}`);
+  let offset = text.indexOf('\r\n');
+  if (offset === -1) return null;
+  const count = Number(text.slice(1, offset));
+  offset += 2;
+
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const end = text.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const length = Number(text.slice(offset + 1, end));
+    const start = end + 2;
+    if (text.length < start + length + 2) return null;
+    args.push(buffer.subarray(start, start + length).toString());
+    offset = start + length + 2;
+  }
+  return { args, rest: buffer.subarray(offset) };
+}
+
+function encode(value) {
+  if (value === null) return '$-1\r\n';
+  if (Number.isInteger(value)) return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (value.status) return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+const OK = { status: 'OK' };
+
+function createFakeRedis() {
+  const data = new Map(); // key -> string (expiry is ignored)
+  const sortedSets = new Map(); // key -> Map of member -> score
+  const sockets = new Set();
+  const dropReplies = new Set(); // commands to apply once without replying
+  let server = null;
+  let port = null;
+
+  function incrby(key, delta) {
+    const current = Number(data.get(key) || 0);
+    if (!Number.isInteger(current)) return new Error('ERR value is not an integer or out of range');
+    data.set(key, String(current + delta));
+    return current + delta;
+  }
+
+  // SET key value [EX seconds] [NX]
+  function set(key, value, flags) {
+    const upper = flags.map(flag => flag.toUpperCase());
+    if (upper.includes('NX') && data.has(key)) return null;
+    data.set(key, value);
+    return OK;
+  }
+
+  function sortedSet(key) {
+    if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+    return sortedSets.get(key);
+  }
+
+  // ZADD key [GT] score member [score member ...]
+  function zadd(key, args) {
+    const gt = args[0].toUpperCase() === 'GT';
+    const pairs = gt ? args.slice(1) : args;
+    const set = sortedSet(key);
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      const [score, member] = [Number(pairs[i]), pairs[i + 1]];
+      if (!set.has(member)) added++;
+      if (!gt || !set.has(member) || score > set.get(member)) set.set(member, score);
+    }
+    return added;
+  }
+
+  function zrevrange(key, start, stop) {
+    const ranked = [...(sortedSets.get(key) || new Map())].sort((a, b) => b[1] - a[1]);
+    return ranked.slice(Number(start), Number(stop) + 1).flatMap(([member, score]) => [member, String(score)]);
+  }
+
+  const COMMANDS = {
+    info: () => '# Server\r\nredis_version:7.0.0\r\nloading:0\r\n',
+    ping: () => ({ status: 'PONG' }),
+    select: () => OK,
+    auth: () => OK,
+    client: () => OK,
+    get: key => (data.has(key) ? data.get(key) : null),
+    set: (key, value, ...flags) => set(key, value, flags),
+    incrby: (key, delta) => incrby(key, Number(delta)),
+    del: (...keys) => keys.filter(key => data.delete(key) || sortedSets.delete(key)).length,
+    expire: () => 1,
+    zincrby: (key, delta, member) => {
+      const set = sortedSet(key);
+      set.set(member, (set.get(member) || 0) + Number(delta));
+      return String(set.get(member));
+    },
+    zadd: (key, ...args) => zadd(key, args),
+    zrevrange: (key, start, stop) => zrevrange(key, start, stop),
+    evalsha: () => new Error('NOSCRIPT No matching script. Please use EVAL.'),
+    eval: (script, numberOfKeys, counter, marker, delta) => {
+      if (script !== RECONCILE_SCRIPT) return new Error('ERR fake-redis only runs the reconciliation script');
+      if (set(marker, '1', ['NX']) === null) return [0, Number(data.get(counter) || 0)];
+      return [1, incrby(counter, Number(delta))];
+    }
+  };
+
+  function handle(socket, args) {
+    const name = args[0].toLowerCase();
+    const command = COMMANDS[name];
+    const result = command ? command(...args.slice(1)) : new Error(`ERR unknown command '${name}'`);
+    if (dropReplies.delete(name)) {
+      // Applied, but the client never hears back (the connection "drops")
+      socket.destroy();
+      return;
+    }
+    socket.write(encode(result));
+  }
+
+  function onConnection(socket) {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while (!socket.destroyed && buffer.length > 0 && (parsed = parseCommand(buffer))) {
+        buffer = parsed.rest;
+        handle(socket, parsed.args);
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => sockets.delete(socket));
+  }
+
+  return {
+    data,
+    sortedSets,
+
+    // Lose everything, like a Redis restarted without persistence
+    wipe() {
+      data.clear();
+      sortedSets.clear();
+    },
+
+    // Listen (on the same port as before after a restart)
+    start() {
+      server = net.createServer(onConnection);
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port || 0, '127.0.0.1', () => {
+          port = server.address().port;
+          resolve(port);
+        });
+      });
+    },
+
+    // Refuse connections and drop the open ones; data is kept
+    stop() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+
+    // Apply the next `command` but close the connection instead of replying
+    dropReplyTo(command) {
+      dropReplies.add(command.toLowerCase());
+    },
+
+    get port() {
+      return port;
+    }
+  };
+}
+
+module.exports = { createFakeRedis };
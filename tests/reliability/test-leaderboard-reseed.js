@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Leaderboard Reseed Test Script
+ * Takes a (fake) Redis away from the leaderboards while clicks keep landing in
+ * SQLite, then brings it back wiped, and checks the boards never serve the
+ * stale sorted sets: SQLite answers until they are reseeded.
+ * No Redis server needed: see fake-redis.js.
+ */
+
+const sqlite3 = require('sqlite3');
+const { createRedisStore } = require('../../backend/stores/redis-store');
+const { createLeaderboard, utcDay } = require('../../backend/leaderboard');
+const { runMigrations } = require('../../backend/migrate');
+const { run } = require('../../backend/db');
+const { configureLogger } = require('../../backend/logger');
+const { createFakeRedis } = require('./fake-redis');
+
+const RECONNECT_TIMEOUT_MS = 10000;
+const ALL_TIME = 'lizard:lb:all-time';
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ ${label}: ${actual}`);
+  } else {
+    console.log(`  ❌ ${label}: expected ${expected}, got ${actual}`);
+    failures++;
+  }
+}
+
+async function waitFor(label, condition) {
+  const deadline = Date.now() + RECONNECT_TIMEOUT_MS;
+  while (!await condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// What a flush writes for `clicks` more clicks of `deviceId`
+async function flushClicks(db, deviceId, clicks) {
+  await run(db, `INSERT INTO devices (id, clicks) VALUES (?, ?)
+    ON CONFLICT(id) DO UPDATE SET clicks = clicks + excluded.clicks`, [deviceId, clicks]);
+  await run(db, `INSERT INTO device_daily_clicks (device_id, day, clicks) VALUES (?, ?, ?)
+    ON CONFLICT(device_id, day) DO UPDATE SET clicks = clicks + excluded.clicks`, [deviceId, utcDay(Date.now()), clicks]);
+}
+
+async function testLeaderboardReseed() {
+  configureLogger({ format: 'pretty', level: process.env.LOG_LEVEL || 'warn' });
+  console.log('🧪 Starting Leaderboard Reseed Test\n');
+
+  const db = new sqlite3.Database(':memory:');
+  await runMigrations(db);
+
+  const redis = createFakeRedis();
+  const port = await redis.start();
+  let reseeds = 0;
+  let leaderboard = null;
+  const store = createRedisStore({
+    host: '127.0.0.1',
+    port,
+    // What server.js does (after flushing its pending clicks)
+    onRecover: () => {
+      leaderboard.invalidate();
+      leaderboard.seed().then((seeded) => {
+        if (seeded) reseeds++;
+      });
+    }
+  });
+  leaderboard = createLeaderboard({ db, store });
+  const topClicks = async () => (await leaderboard.top('all-time', 1, null))[0].clicks;
+  const redisScore = () => redis.sortedSets.get(ALL_TIME)?.get('lizard');
+
+  console.log('--- Redis up ---');
+  await flushClicks(db, 'lizard', 5);
+  await store.set(0); // connects
+  await waitFor('first seed', () => reseeds === 1);
+  leaderboard.record('lizard', 3);
+  await flushClicks(db, 'lizard', 3);
+  await waitFor('live update', () => redisScore() === 8);
+  check('Board from Redis', await topClicks(), 8);
+
+  console.log('\n--- Redis drops out; clicks keep reaching SQLite ---');
+  await redis.stop();
+  await waitFor('fallback mode', () => !store.healthy());
+  leaderboard.record('lizard', 4); // Redis misses it
+  await flushClicks(db, 'lizard', 4);
+  check('Board from SQLite', await topClicks(), 12);
+
+  console.log('\n--- Redis restarts empty ---');
+  redis.wipe();
+  await redis.start();
+  await waitFor('reconnect and reseed', () => store.healthy() && reseeds === 2);
+  check('Sorted set reseeded from SQLite', redisScore(), 12);
+  check('Board after the reseed', await topClicks(), 12);
+
+  await store.close();
+  await redis.stop();
+  await new Promise(resolve => db.close(resolve));
+
+  console.log(failures === 0 ? '\n🎉 All checks passed' : `\n💥 ${failures} check(s) failed`);
+  return failures === 0;
+}
+
+if (require.main === module) {
+  testLeaderboardReseed()
+    .then(passed => process.exit(passed ? 0 : 1))
+    .catch((error) => {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { testLeaderboardReseed };
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Redis Fallback Test Script
+ * Drops a (fake) Redis out from under the Redis store and checks that the
+ * clicks counted in fallback mode reach Redis exactly once on reconnect.
+ * No Redis server needed: see fake-redis.js.
+ */
+
+const { createRedisStore } = require('../../backend/stores/redis-store');
+const { counterKey } = require('../../backend/stores/counter-key');
+const { configureLogger } = require('../../backend/logger');
+const { createFakeRedis } = require('./fake-redis');
+
+const RECONNECT_TIMEOUT_MS = 10000;
+const KEY = counterKey('default');
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ ${label}: ${actual}`);
+  } else {
+    console.log(`  ❌ ${label}: expected ${expected}, got ${actual}`);
+    failures++;
+  }
+}
+
+async function waitFor(label, condition) {
+  const deadline = Date.now() + RECONNECT_TIMEOUT_MS;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function testRedisFallback() {
+  configureLogger({ format: 'pretty', level: process.env.LOG_LEVEL || 'info' });
+  console.log('🧪 Starting Redis Fallback Test\n');
+
+  const redis = createFakeRedis();
+  const port = await redis.start();
+  const store = createRedisStore({ host: '127.0.0.1', port });
+  const redisCount = (key = KEY) => Number(redis.data.get(key));
+
+  console.log('--- Redis up ---');
+  await store.set(100);
+  await store.increment(5);
+  check('Redis count after seeding and +5', redisCount(), 105);
+  // Another instance clicks; this one hasn't read the count since
+  redis.data.set(KEY, '125');
+
+  console.log('\n--- Redis drops out ---');
+  await redis.stop();
+  await waitFor('fallback mode', () => !store.healthy());
+  await store.increment(1);
+  await store.increment(2);
+  check('Fallback count continues from the last Redis value', await store.increment(10), 118);
+  check('Clicks waiting for Redis', store.fallbackClicks(), 13);
+
+  console.log('\n--- Redis back ---');
+  await redis.start();
+  await waitFor('reconnect', () => store.healthy());
+  check('Redis count (other instance + fallback clicks)', redisCount(), 138);
+  check('Store count', await store.get(), 138);
+  check('Clicks waiting for Redis', store.fallbackClicks(), 0);
+
+  console.log('\n--- Redis drops out, and again right after applying the fallback clicks ---');
+  await redis.stop();
+  await waitFor('fallback mode', () => !store.healthy());
+  await store.increment(4);
+  redis.dropReplyTo('eval');
+  await redis.start();
+  await waitFor('reconnect', () => store.healthy());
+  check('Redis count (fallback clicks applied once)', redisCount(), 142);
+
+  console.log('\n--- Instance starts while Redis is down ---');
+  await redis.stop();
+  const late = createRedisStore({ host: '127.0.0.1', port });
+  await late.set(120); // saved total: behind the live Redis value
+  await late.set(30, 'fresh'); // counter Redis has never seen
+  await late.increment(2);
+  await late.increment(3, 'fresh');
+  check('Fallback before Redis is up', late.healthy(), false);
+  await redis.start();
+  await waitFor('reconnect', () => late.healthy() && store.healthy());
+  check('Live Redis value kept, fallback clicks added', redisCount(), 144);
+  check('Missing counter seeded, fallback clicks added', redisCount(counterKey('fresh')), 33);
+
+  await store.close();
+  await late.close();
+  await redis.stop();
+
+  console.log(failures === 0 ? '\n🎉 All checks passed' : `\n💥 ${failures} check(s) failed`);
+  return failures === 0;
+}
+
+if (require.main === module) {
+  testRedisFallback()
+    .then(passed => process.exit(passed ? 0 : 1))
+    .catch((error) => {
+      console.error('❌ Test failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { testRedisFallback };
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Display Name Test Script
+ * Checks the leaderboard name filter: blocklisted words are refused however
+ * they are disguised, and ordinary names that merely contain one are not
+ * (the Scunthorpe problem).
+ */
+
+const { validateDisplayName } = require('../../backend/display-names');
+
+const ALLOWED = [
+  'Lizard 42', 'Grape', 'Hancock', 'Dickens', 'icono', 'Scunthorpe',
+  'Therapist', 'Shitake', 'Bassist', 'Cocktail fan', 'Class Act', 'Matsushita'
+];
+
+const BLOCKED = [
+  'dick', 'Dicks', 'BigDick', 'Big-Dick', 'd i c k', 'sh1t', 'Pu-ta', 'c0ño',
+  'rapes', 'Hitler2000', 'FuckYou', 'xfuckx'
+];
+
+let failures = 0;
+
+function check(name, expectBlocked) {
+  const blocked = Boolean(validateDisplayName(name).error);
+  if (blocked === expectBlocked) {
+    console.log(`  ✅ ${JSON.stringify(name)}: ${blocked ? 'blocked' : 'allowed'}`);
+  } else {
+    console.log(`  ❌ ${JSON.stringify(name)}: expected ${expectBlocked ? 'blocked' : 'allowed'}`);
+    failures++;
+  }
+}
+
+function testDisplayNames() {
+  console.log('🧪 Starting Display Name Test\n');
+
+  console.log('--- Harmless names containing a blocklisted word ---');
+  ALLOWED.forEach(name => check(name, false));
+
+  console.log('\n--- Blocklisted words, disguised ---');
+  BLOCKED.forEach(name => check(name, true));
+
+  console.log(failures === 0 ? '\n🎉 All checks passed' : `\n💥 ${failures} check(s) failed`);
+  return failures === 0;
+}
+
+if (require.main === module) {
+  process.exit(testDisplayNames() ? 0 : 1);
+}
+
+module.exports = { testDisplayNames };